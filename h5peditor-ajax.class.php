@@ -35,6 +35,16 @@ abstract class H5PEditorEndpoints {
    */
   const FILES = 'files';
 
+  /**
+   * Endpoint for uploading large files used by the editor in chunks.
+   */
+  const FILE_CHUNKS = 'file-chunks';
+
+  /**
+   * Endpoint for retrieving oEmbed data about media used by the editor.
+   */
+  const OEMBED = 'oembed';
+
   /**
    * Endpoint for retrieveing translation files
    */
@@ -48,6 +58,50 @@ abstract class H5PEditorEndpoints {
  */
 class H5PEditorAjax {
 
+  /**
+   * Default max size in bytes of files uploaded in chunks (1 GB). Sites may
+   * change it with the max_chunked_upload_size option.
+   */
+  const MAX_CHUNKED_UPLOAD_SIZE = 1073741824;
+
+  /**
+   * Max size in bytes of the pages and oEmbed data fetched for the editor.
+   */
+  const MAX_OEMBED_RESPONSE_SIZE = 1048576;
+
+  /**
+   * The providers oEmbed data is fetched from, by the names the editor uses.
+   * Each has a pattern for the hosts of its media and the url of its
+   * endpoint, where {host} is the host of the media. Without an endpoint,
+   * it is found in the page of the media through oEmbed discovery.
+   *
+   * @var array
+   */
+  private static $oEmbedProviders = array(
+    'YouTube' => array(
+      'hosts' => '/^((www|m)\.youtube\.com|youtube\.com|youtu\.be|y2u\.be)$/i',
+      'endpoint' => 'https://www.youtube.com/oembed',
+    ),
+    'Vimeo' => array(
+      'hosts' => '/^((www|player)\.)?vimeo\.com$/i',
+      'endpoint' => 'https://vimeo.com/api/oembed.json',
+    ),
+    'Panopto' => array(
+      'hosts' => '/^([a-z0-9-]+\.)*panopto\.(com|eu)$/i',
+      'endpoint' => 'https://{host}/Panopto/oembed.json',
+    ),
+    'oEmbed' => array(
+      'hosts' => '/./',
+    ),
+  );
+
+  /**
+   * The oEmbed properties passed on to the editor.
+   *
+   * @var array
+   */
+  private static $oEmbedProperties = array('type', 'version', 'title', 'author_name', 'author_url', 'provider_name', 'thumbnail_url', 'thumbnail_width', 'thumbnail_height', 'duration');
+
   /**
    * @var \H5PCore
    */
@@ -129,6 +183,19 @@ class H5PEditorAjax {
         $this->fileUpload($contentId);
         break;
 
+      case H5PEditorEndpoints::FILE_CHUNKS:
+        $token = func_get_arg(1);
+        $contentId = func_get_arg(2);
+        if (!$this->isValidEditorToken($token)) return;
+        $this->fileChunkUpload($token, $contentId);
+        break;
+
+      case H5PEditorEndpoints::OEMBED:
+        $token = func_get_arg(1);
+        if (!$this->isValidEditorToken($token)) return;
+        $this->oEmbed(filter_input(INPUT_GET, 'url'), filter_input(INPUT_GET, 'provider'));
+        break;
+
       case H5PEditorEndpoints::TRANSLATIONS:
         $language = func_get_arg(1);
         H5PCore::ajaxSuccess($this->editor->getTranslations($_POST['libraries'], $language));
@@ -160,6 +227,167 @@ class H5PEditorAjax {
     $file->printResult();
   }
 
+  /**
+   * Handles files uploaded in chunks from the editor. The chunks are
+   * appended to a temporary file, which is validated and stored like any
+   * other uploaded file once all the chunks have been received.
+   *
+   * Responds with the number of bytes received so far, which is where the
+   * next chunk must start. Requests without a chunk are used to find out
+   * where to resume an interrupted upload.
+   *
+   * @param string $token The editor token, which the chunks are bound to
+   * @param int $contentId Id of content if already existing content
+   */
+  private function fileChunkUpload($token, $contentId = NULL) {
+    $uploadId = filter_input(INPUT_POST, 'uploadId');
+    $filename = filter_input(INPUT_POST, 'filename');
+    $size = filter_input(INPUT_POST, 'size', FILTER_VALIDATE_INT);
+    if (!$uploadId || !preg_match('/^[a-z0-9-]{16,64}$/i', $uploadId) || !$filename || !$size || $size < 0) {
+      H5PCore::ajaxError($this->core->h5pF->t('Invalid file chunk.'), 'INVALID_CHUNK');
+      return;
+    }
+
+    // Check what can be before anything is written, as the whole file is
+    // only validated once all the chunks have been received
+    if ($size > $this->core->h5pF->getOption('max_chunked_upload_size', self::MAX_CHUNKED_UPLOAD_SIZE)) {
+      H5PCore::ajaxError($this->core->h5pF->t('The file is too large.'), 'FILE_TOO_LARGE');
+      return;
+    }
+    $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+    $whitelist = explode(' ', $this->core->h5pF->getWhitelist(FALSE, H5PCore::$defaultContentWhitelist, H5PCore::$defaultLibraryWhitelistExtras));
+    if (!in_array($extension, $whitelist)) {
+      H5PCore::ajaxError($this->core->h5pF->t("File type isn't allowed."), 'FILE_TYPE_NOT_ALLOWED');
+      return;
+    }
+
+    $path = $this->getChunksPath($uploadId, $token);
+    $handle = ($path === FALSE ? FALSE : @fopen($path, 'c+'));
+    if ($handle === FALSE || !flock($handle, LOCK_EX)) {
+      if ($handle !== FALSE) {
+        fclose($handle);
+      }
+      H5PCore::ajaxError($this->core->h5pF->t('Unable to store file chunk.'), 'CHUNK_NOT_STORED');
+      return;
+    }
+
+    // The offset is checked and the chunk appended while the file is locked,
+    // so that chunks sent again by the client can't be appended twice
+    $stat = fstat($handle);
+    $received = $stat['size'];
+    $error = $this->appendChunk($handle, $path, $received, $size);
+
+    $completed = ($error === NULL && $received === $size && $received > $stat['size']);
+    if ($completed) {
+      // All chunks received, continue as if the whole file was uploaded at once
+      $_FILES['file'] = array(
+        'name' => basename($filename),
+        'type' => '',
+        'tmp_name' => $path,
+        'error' => UPLOAD_ERR_OK,
+        'size' => $received
+      );
+      $this->fileUpload($contentId);
+      unlink($path);
+    }
+
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    if ($error !== NULL) {
+      H5PCore::ajaxError($this->core->h5pF->t($error[0]), $error[1]);
+    }
+    elseif (!$completed) {
+      H5PCore::ajaxSuccess(array('offset' => $received));
+    }
+  }
+
+  /**
+   * Append the uploaded chunk to the locked file if it starts where the
+   * previous chunk ended. Requests without a chunk are used to find out
+   * where to resume an interrupted upload.
+   *
+   * @param resource $handle Locked file the chunks are put together in
+   * @param string $path Path of the file
+   * @param int $received Number of bytes received so far, updated with the
+   *   size of the chunk once it has been appended
+   * @param int $size Size of the whole file
+   *
+   * @return array|null Message and code of the error, if any
+   */
+  private function appendChunk($handle, $path, &$received, $size) {
+    $offset = filter_input(INPUT_POST, 'offset', FILTER_VALIDATE_INT);
+    if (!isset($_FILES['chunk']) || $offset !== $received) {
+      // Resuming, or the chunk has already been received or one is missing
+      return NULL;
+    }
+
+    $chunk = $_FILES['chunk'];
+    if ($chunk['error'] !== UPLOAD_ERR_OK || $received + $chunk['size'] > $size) {
+      return array('Invalid file chunk.', 'INVALID_CHUNK');
+    }
+
+    if ($received === 0) {
+      $this->removeExpiredChunks($path);
+
+      $free = @disk_free_space(dirname($path));
+      if ($free !== FALSE && $free < $size) {
+        return array('Unable to store file chunk.', 'CHUNK_NOT_STORED');
+      }
+    }
+
+    $data = file_get_contents($chunk['tmp_name']);
+    if ($data === FALSE || fseek($handle, 0, SEEK_END) !== 0 || fwrite($handle, $data) !== strlen($data) || !fflush($handle)) {
+      // Leave out what was partially written, so the chunk can be sent again
+      ftruncate($handle, $received);
+      return array('Unable to store file chunk.', 'CHUNK_NOT_STORED');
+    }
+    $received += strlen($data);
+    return NULL;
+  }
+
+  /**
+   * Get the path to the temporary file used to put together the chunks of
+   * an upload. The path depends on the current user and editor token, so
+   * that other users can't add chunks to the upload.
+   *
+   * @param string $uploadId
+   * @param string $token
+   *
+   * @return string|bool FALSE if the folder for chunks can't be created
+   */
+  private function getChunksPath($uploadId, $token) {
+    $dir = sys_get_temp_dir() . '/h5peditor-chunks';
+    if (!is_dir($dir) && !mkdir($dir, 0700, TRUE) && !is_dir($dir)) {
+      return FALSE; // is_dir() again in case another request created it
+    }
+
+    // The session is included for users who aren't logged in, as they
+    // all have the same user id
+    $userId = $this->editor->ajaxInterface->getCurrentUserId();
+    return $dir . '/' . hash('sha256', $userId . '|' . session_id() . '|' . $token . '|' . $uploadId);
+  }
+
+  /**
+   * Remove the chunks of uploads that have been abandoned for more than a
+   * day.
+   *
+   * @param string $current Path of the upload in progress, which is kept
+   */
+  private function removeExpiredChunks($current) {
+    $files = glob(sys_get_temp_dir() . '/h5peditor-chunks/*');
+    if (!$files) {
+      return;
+    }
+
+    $expired = time() - (60 * 60 * 24); // 1 day
+    foreach ($files as $file) {
+      if ($file !== $current && filemtime($file) < $expired) {
+        @unlink($file);
+      }
+    }
+  }
+
   /**
    * Handles uploading libraries so they are ready to be modified or directly saved.
    *
@@ -201,6 +429,217 @@ class H5PEditorAjax {
     ));
   }
 
+  /**
+   * Fetches oEmbed data about media from its provider, since the providers
+   * rarely allow the editor to do it directly. Only the endpoints of the
+   * known providers are used, or the one found in the page of the media.
+   *
+   * @param string $url Url of the media
+   * @param string $provider Name of the provider, see $oEmbedProviders
+   */
+  private function oEmbed($url, $provider) {
+    $host = $this->isHttpUrl($url) ? parse_url($url, PHP_URL_HOST) : NULL;
+    if ($host === NULL || !isset(self::$oEmbedProviders[$provider]) ||
+        !preg_match(self::$oEmbedProviders[$provider]['hosts'], $host)) {
+      H5PCore::ajaxError($this->core->h5pF->t('Invalid URL.'), 'INVALID_URL');
+      return;
+    }
+
+    if (isset(self::$oEmbedProviders[$provider]['endpoint'])) {
+      $endpoint = str_replace('{host}', $host, self::$oEmbedProviders[$provider]['endpoint']);
+      $request = $endpoint . '?format=json&url=' . urlencode($url);
+    }
+    else {
+      $request = $this->discoverOEmbed($url);
+    }
+
+    $response = ($request === FALSE ? FALSE : $this->fetchPublicUrl($request));
+    $data = ($response === FALSE ? NULL : json_decode($response, TRUE));
+    if (!is_array($data) || !isset($data['type'])) {
+      H5PCore::ajaxError($this->core->h5pF->t('No oEmbed data found.'), 'NO_OEMBED');
+      return;
+    }
+
+    // Only pass on what oEmbed data has, whatever else the url returned
+    $oEmbed = array();
+    foreach (self::$oEmbedProperties as $property) {
+      if (isset($data[$property]) && is_scalar($data[$property])) {
+        $oEmbed[$property] = $data[$property];
+      }
+    }
+    H5PCore::ajaxSuccess($oEmbed);
+  }
+
+  /**
+   * Finds the url of the oEmbed data linked to from the page of the media.
+   *
+   * @param string $url Url of the media
+   *
+   * @return string|bool FALSE if the page has no oEmbed data
+   */
+  private function discoverOEmbed($url) {
+    $page = $this->fetchPublicUrl($url);
+    if ($page === FALSE ||
+        !preg_match('/<link[^>]+type=["\']application\/json\+oembed["\'][^>]*>/i', $page, $link) ||
+        !preg_match('/href=["\']([^"\']+)["\']/i', $link[0], $href)) {
+      return FALSE;
+    }
+
+    $request = html_entity_decode($href[1], ENT_QUOTES);
+    return $this->isHttpUrl($request) ? $request : FALSE;
+  }
+
+  /**
+   * Checks that the url is a http or https url with a host.
+   *
+   * @param string $url
+   *
+   * @return bool
+   */
+  private function isHttpUrl($url) {
+    $parts = empty($url) ? FALSE : parse_url($url);
+    return !empty($parts['host']) && isset($parts['scheme']) && in_array(strtolower($parts['scheme']), array('http', 'https'));
+  }
+
+  /**
+   * Fetches the url without exposing the server's internal network. The
+   * request is sent to the address that was checked, so the host can't be
+   * resolved to another address in between, and each redirect is checked
+   * the same way.
+   *
+   * @param string $url
+   *
+   * @return string|bool The response, or FALSE if it can't be fetched
+   */
+  private function fetchPublicUrl($url) {
+    for ($redirects = 0; $redirects <= 3; $redirects++) {
+      $address = $this->isHttpUrl($url) ? $this->getPublicAddress($url) : FALSE;
+      if ($address === FALSE) {
+        return FALSE;
+      }
+
+      $parts = parse_url($url);
+      $port = isset($parts['port']) ? $parts['port'] : (strtolower($parts['scheme']) === 'https' ? 443 : 80);
+      $host = trim($parts['host'], '[]');
+
+      $response = '';
+      $max = self::MAX_OEMBED_RESPONSE_SIZE;
+      $curl = curl_init($url);
+      curl_setopt_array($curl, array(
+        CURLOPT_FOLLOWLOCATION => FALSE,
+        CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+        CURLOPT_CONNECTTIMEOUT => 5,
+        CURLOPT_TIMEOUT => 10,
+        CURLOPT_WRITEFUNCTION => function ($curl, $data) use (&$response, $max) {
+          if (strlen($response) + strlen($data) > $max) {
+            return 0; // Stops the transfer
+          }
+          $response .= $data;
+          return strlen($data);
+        },
+      ));
+      if ($host !== $address) {
+        curl_setopt($curl, CURLOPT_RESOLVE, array($host . ':' . $port . ':' . (strpos($address, ':') === FALSE ? $address : '[' . $address . ']')));
+      }
+      $success = curl_exec($curl);
+      $status = curl_getinfo($curl, CURLINFO_HTTP_CODE);
+      $location = curl_getinfo($curl, CURLINFO_REDIRECT_URL);
+      curl_close($curl);
+
+      if ($success === FALSE) {
+        return FALSE;
+      }
+      if ($status >= 300 && $status < 400 && $location) {
+        $url = $location;
+        continue;
+      }
+      return ($status === 200 ? $response : FALSE);
+    }
+
+    return FALSE; // Too many redirects
+  }
+
+  /**
+   * Finds the address of the url's host, if all its addresses are public.
+   *
+   * @param string $url
+   *
+   * @return string|bool FALSE if the host may be on the internal network
+   */
+  private function getPublicAddress($url) {
+    $host = trim(parse_url($url, PHP_URL_HOST), '[]');
+
+    if (filter_var($host, FILTER_VALIDATE_IP)) {
+      $addresses = array($host);
+    }
+    else {
+      $addresses = array();
+      $records = @dns_get_record($host, DNS_A | DNS_AAAA);
+      if ($records) {
+        foreach ($records as $record) {
+          if (isset($record['ip'])) {
+            $addresses[] = $record['ip'];
+          }
+          elseif (isset($record['ipv6'])) {
+            $addresses[] = $record['ipv6'];
+          }
+        }
+      }
+    }
+
+    if (empty($addresses)) {
+      return FALSE;
+    }
+    foreach ($addresses as $address) {
+      if (!$this->isPublicAddress($address)) {
+        return FALSE;
+      }
+    }
+    return $addresses[0];
+  }
+
+  /**
+   * Checks that the IP address isn't private, reserved or a way of reaching
+   * such an address, e.g. an IPv4-mapped IPv6 address.
+   *
+   * @param string $address
+   *
+   * @return bool
+   */
+  private function isPublicAddress($address) {
+    if (!filter_var($address, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE)) {
+      return FALSE;
+    }
+
+    $ranges = array(
+      '100.64.0.0/10', // Carrier-grade NAT
+      '::/96', // IPv4-compatible
+      '::ffff:0:0/96', // IPv4-mapped
+      '64:ff9b::/96', // NAT64
+      '2002::/16', // 6to4
+      'fc00::/7', // Unique local
+      'fe80::/10', // Link local
+      'fec0::/10', // Site local
+    );
+    $binary = inet_pton($address);
+    foreach ($ranges as $range) {
+      list($subnet, $bits) = explode('/', $range);
+      $subnet = inet_pton($subnet);
+      if (strlen($subnet) !== strlen($binary)) {
+        continue; // Other IP version
+      }
+
+      $bytes = (int) floor($bits / 8);
+      $mask = (0xff << (8 - $bits % 8)) & 0xff;
+      if (substr($binary, 0, $bytes) === substr($subnet, 0, $bytes) &&
+          ($bits % 8 === 0 || (ord($binary[$bytes]) & $mask) === (ord($subnet[$bytes]) & $mask))) {
+        return FALSE;
+      }
+    }
+
+    return TRUE;
+  }
+
   /**
    * Validates security tokens used for the editor
    *
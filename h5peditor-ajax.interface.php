@@ -49,4 +49,12 @@ interface H5PEditorAjaxInterface {
    * @return array
    */
   public function getTranslations($libraries, $language_code);
+
+  /**
+   * Get the id of the current user. Uploads in chunks are bound to it, so
+   * that other users can't add to them.
+   *
+   * @return int|string Id of the user, or 0 if the user isn't logged in
+   */
+  public function getCurrentUserId();
 }
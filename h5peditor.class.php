@@ -18,18 +18,32 @@ class H5peditor {
   public static $scripts = array(
     'scripts/h5p-hub-client.js',
     'scripts/h5peditor.js',
+    'scripts/h5peditor-validator.js',
     'scripts/h5peditor-semantic-structure.js',
     'scripts/h5peditor-editor.js',
     'scripts/h5peditor-library-selector.js',
     'scripts/h5peditor-form.js',
+    'scripts/h5peditor-validation-summary.js',
+    'scripts/h5peditor-find-replace.js',
+    'scripts/h5peditor-text-checker.js',
+    'scripts/h5peditor-dictionary-checker.js',
+    'scripts/h5peditor-counter.js',
+    'scripts/h5peditor-history.js',
+    'scripts/h5peditor-drafts.js',
     'scripts/h5peditor-text.js',
     'scripts/h5peditor-html.js',
+    'scripts/h5peditor-formula.js',
+    'scripts/h5peditor-html-sanitizer.js',
+    'scripts/h5peditor-html-image.js',
+    'scripts/h5peditor-snippets.js',
+    'scripts/h5peditor-html-lite.js',
     'scripts/h5peditor-number.js',
     'scripts/h5peditor-textarea.js',
     'scripts/h5peditor-file-uploader.js',
     'scripts/h5peditor-file.js',
     'scripts/h5peditor-image.js',
     'scripts/h5peditor-image-popup.js',
+    'scripts/h5peditor-image-optimizer.js',
     'scripts/h5peditor-av.js',
     'scripts/h5peditor-group.js',
     'scripts/h5peditor-boolean.js',
@@ -223,6 +237,12 @@ class H5peditor {
         }
         break;
 
+      case 'text':
+        if (isset($field->widget) && $field->widget === 'html' && is_string($params)) {
+          $params = $this->processHtmlFiles($params, $files);
+        }
+        break;
+
       case 'video':
       case 'audio':
         if (is_array($params)) {
@@ -263,6 +283,142 @@ class H5peditor {
     }
   }
 
+  /**
+   * Process the images inserted into a html text.
+   *
+   * @param string $html
+   * @param array $files
+   * @return string The html with the new paths
+   */
+  private function processHtmlFiles($html, &$files) {
+    return self::changeImagePaths($html, function ($path) use (&$files) {
+      $params = (object) array(
+        'path' => $path
+      );
+      $this->processFile($params, $files);
+      return $params->path;
+    });
+  }
+
+  /**
+   * Make the images inserted into html texts load from the content's folder.
+   * The texts are displayed by the player as they are, so sites setting
+   * H5PIntegration.editor.htmlImages must do this to the filtered parameters
+   * before they are output.
+   *
+   * @param string $filtered The filtered parameters as JSON
+   * @param array $library The content's library, with machineName,
+   *  majorVersion and minorVersion
+   * @param string $contentUrl URL of the content's folder
+   * @return string The filtered parameters as JSON
+   */
+  public function resolveHtmlPaths($filtered, $library, $contentUrl) {
+    if (stripos($filtered, '<img') === FALSE) {
+      return $filtered; // Skip decoding the content without images
+    }
+
+    $params = json_decode($filtered);
+    if ($params === NULL) {
+      return $filtered;
+    }
+
+    $contentUrl = rtrim($contentUrl, '/') . '/';
+    $field = (object) array(
+      'type' => 'library'
+    );
+    $libraryParams = (object) array(
+      'library' => H5PCore::libraryToString($library),
+      'params' => $params
+    );
+    $this->changeHtmlPaths($field, $libraryParams, function ($path) use ($contentUrl) {
+      // Temporary files have been moved to the content's folder when saved
+      return $contentUrl . preg_replace('/#tmp$/', '', $path);
+    });
+    return json_encode($libraryParams->params);
+  }
+
+  /**
+   * Change the paths of the images in the html texts of a field and its
+   * children, finding the texts the same way as processField.
+   *
+   * @param object $field
+   * @param mixed $params
+   * @param callable $change Receives the path and returns the new one
+   */
+  private function changeHtmlPaths($field, &$params, $change) {
+    switch ($field->type) {
+      case 'text':
+        if (isset($field->widget) && $field->widget === 'html' && is_string($params)) {
+          $params = self::changeImagePaths($params, $change);
+        }
+        break;
+
+      case 'library':
+        if (isset($params->library) && isset($params->params)) {
+          $library = H5PCore::libraryFromString($params->library);
+          $semantics = $this->h5p->loadLibrarySemantics($library['machineName'], $library['majorVersion'], $library['minorVersion']);
+          $this->changeHtmlPathsIn($semantics, $params->params, $change);
+        }
+        break;
+
+      case 'group':
+        if (isset($params)) {
+          $isSubContent = isset($field->isSubContent) && $field->isSubContent == TRUE;
+
+          if (count($field->fields) == 1 && !$isSubContent) {
+            // The value of the only field is stored as the group's value
+            $this->changeHtmlPaths($field->fields[0], $params, $change);
+          }
+          else {
+            $this->changeHtmlPathsIn($field->fields, $params, $change);
+          }
+        }
+        break;
+
+      case 'list':
+        if (is_array($params)) {
+          for ($j = 0, $t = count($params); $j < $t; $j++) {
+            $this->changeHtmlPaths($field->field, $params[$j], $change);
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Change the paths of the images in the html texts of the given fields.
+   *
+   * @param array $semantics
+   * @param object $params
+   * @param callable $change Receives the path and returns the new one
+   */
+  private function changeHtmlPathsIn($semantics, &$params, $change) {
+    for ($i = 0, $s = count($semantics); $i < $s; $i++) {
+      $field = $semantics[$i];
+      if (isset($params->{$field->name})) {
+        $this->changeHtmlPaths($field, $params->{$field->name}, $change);
+      }
+    }
+  }
+
+  /**
+   * Change the paths of the images in the content's folder.
+   *
+   * @param string $html
+   * @param callable $change Receives the path and returns the new one
+   * @return string
+   */
+  private static function changeImagePaths($html, $change) {
+    return preg_replace_callback('/(<img\b[^>]*?\bsrc=")([^"]+)(")/i', function ($matches) use ($change) {
+      $path = html_entity_decode($matches[2], ENT_QUOTES);
+      if (preg_match('/^([a-z][a-z0-9+.-]*:|\/)/i', $path)) {
+        return $matches[0]; // Skip files that aren't in the content folder
+      }
+
+      return $matches[1] . htmlspecialchars($change($path), ENT_QUOTES) . $matches[3];
+    }, $html);
+  }
+
   /**
    * @param mixed $params
    * @param array $files
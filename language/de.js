@@ -208,5 +208,99 @@ H5PEditor.language.core = {
   changeLanguage: 'Change language to :language?',
   thisWillPotentially: "This will potentially reset all the text and translations. You can't undo this. The content itself will not be changed. Do you want to proceed?",
   notAllTextsChanged: 'Not all texts were changed, there is only partial coverage for :language.',
-  contributeTranslations: 'If you want to complete the translation for :language you can learn about <a href=":url" target="_new">contributing translations to H5P</a>'
+  contributeTranslations: 'If you want to complete the translation for :language you can learn about <a href=":url" target="_new">contributing translations to H5P</a>',
+  unsavedDraft: 'Unsaved changes from :time were found. Do you want to restore them?',
+  restoreDraft: 'Restore changes',
+  discardDraft: 'Discard changes',
+  invalidOption: 'The value :value is not one of the available options.',
+  tagNotAllowed: 'The :tag tag is not allowed in this field.',
+  validationSummaryTitle: 'The content can not be saved, :count fields have errors:',
+  listItemNumber: ':entity :number',
+  errorContentNotSelected: 'No content type has been selected.',
+  errorMissingTitle: 'The title is required.',
+  errorMissingLibrary: 'The content type could not be determined.',
+  errorMissingParams: 'The content could not be read from the form.',
+  errorValidationFailed: 'Some of the fields have errors that must be fixed before saving.',
+  errorUpgradeFailed: 'Could not upgrade content.',
+  unknownError: 'Unknown error.',
+  dropFilesToAddItems: 'Drop files here, or click to select them, to add a new :entity for each file.',
+  cancelUpload: 'Cancel upload',
+  uploadCanceled: 'The upload was canceled.',
+  tooManyFilesForList: 'The list only has room for :number more items. The remaining files were not uploaded.',
+  fileTypeNotAllowed: 'The file type of :filename is not allowed in this field.',
+  moveItem: 'Move :entity',
+  listItemGrabbed: ':entity :position of :total grabbed. Use the up and down arrow keys to move it, Space to drop it or Escape to cancel.',
+  listItemMoved: ':entity moved to position :position of :total.',
+  listItemDropped: ':entity dropped at position :position of :total.',
+  listItemMoveCanceled: 'Move canceled. :entity returned to position :position of :total.',
+  selectItems: 'Select items',
+  selectItem: 'Select :entity',
+  selectAllItems: 'Select all',
+  listItemsSelected: ':number selected',
+  moveItemsToTop: 'Move to top',
+  moveItemsToBottom: 'Move to bottom',
+  listItemsMovedToTop: ':number items moved to the top of the list.',
+  listItemsMovedToBottom: ':number items moved to the bottom of the list.',
+  removeSelectedItems: 'Remove',
+  confirmRemovalOfItems: 'Are you sure you wish to remove the :number selected items?',
+  tooManyItemsToRemove: 'The list needs a minimum number of items. Only :number more items can be removed.',
+  listItemsCopied: ':number items are copied to the clipboard',
+  pasteListItems: 'Paste items',
+  pasteNoListItems: 'No items that fit in this list on the clipboard',
+  tooManyItemsForList: 'The list only has room for :number more items. The remaining items were not pasted.',
+  duplicateItem: 'Duplicate item',
+  listIsFull: 'The list has no room for more items.',
+  listItemDuplicated: ':entity duplicated. The copy is at position :position of :total.',
+  filterListItems: 'Find :entity',
+  listFilterMatches: ':number of :total items match.',
+  listFilterNoMatches: 'No items match.',
+  findReplace: 'Find and replace',
+  findText: 'Find',
+  replaceWith: 'Replace with',
+  matchCase: 'Match case',
+  wholeWordsOnly: 'Whole words only',
+  findButton: 'Find',
+  replaceSelected: 'Replace selected',
+  replaceThisMatch: 'Replace this match',
+  findMatches: ':number matches found.',
+  findNoMatches: 'No matches found.',
+  replacedMatches: ':number matches replaced.',
+  textIssue: 'Possible issue with ":text"',
+  misspelledWord: '":word" may be misspelled',
+  noSuggestions: 'No suggestions',
+  ignoreWord: 'Ignore',
+  counterCharacters: ':count characters',
+  counterCharactersOf: ':count of :max characters',
+  counterWords: ':count words',
+  counterWordsOf: ':count of :max recommended words',
+  tooManyCharacters: 'The text is longer than the recommended :max characters, and may not fit on small screens.',
+  tooManyWords: 'The text has more than the recommended :max words.',
+  formula: 'Formula',
+  insertFormula: 'Insert formula',
+  formulaLatex: 'Formula in LaTeX',
+  formulaDisplay: 'Display on its own line',
+  formulaNoPreview: 'The formula can not be previewed here.',
+  htmlRemoved: 'Some markup was removed because it is not allowed in this field: :items',
+  image: 'Image',
+  insertImage: 'Insert image',
+  chooseImage: 'Choose image',
+  imageAltText: 'Alternative text',
+  imageAltTextRequired: 'The image must have an alternative text describing it.',
+  imageRequired: 'Choose an image to upload.',
+  snippets: 'Snippets',
+  noSnippets: 'No snippets have been saved yet.',
+  snippetName: 'Name',
+  saveSnippet: 'Save selection',
+  selectTextForSnippet: 'Select text to save it as a snippet',
+  snippetSaved: 'The snippet ":name" has been saved.',
+  snippetDeleted: 'The snippet ":name" has been deleted.',
+  insertSnippet: 'Insert ":name"',
+  deleteSnippet: 'Delete ":name"',
+  bold: 'Bold',
+  italic: 'Italic',
+  numberedList: 'Numbered list',
+  bulletedList: 'Bulleted list',
+  link: 'Link',
+  unlink: 'Remove link',
+  linkUrl: 'Link address'
 };
@@ -125,6 +125,9 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
       self.$addDialog.addClass('h5p-open');
     });
 
+    // Files can also be dropped onto the list of files or the add button
+    self.addDropZone(this.$files.add(this.$add));
+
     // Tabs that are hard-coded into this widget. Any other tab must be an extension.
     const TABS = {
       UPLOAD: 0,
@@ -382,6 +385,11 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
 
     this.$add.parent().find('.h5p-copyright-button').removeClass('hidden');
 
+    // Show what the provider knows about the media
+    if (file.path) {
+      showMetadataWhenVisible($file, file.path);
+    }
+
     // Handle thumbnail click
     $file
       .children('.h5p-thumbnail')
@@ -453,24 +461,27 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
   };
 
   C.prototype.useUrl = function (url) {
+    var that = this;
+
     if (this.params === undefined) {
       this.params = [];
       this.setValue(this.field, this.params);
     }
 
-    var mime;
-    var i;
-    var matches = url.match(/\.(webm|mp4|ogv|m4a|mp3|ogg|oga|wav)/i);
-    if (matches !== null) {
-      mime = matches[matches.length - 1];
+    var i, mime;
+    var provider = C.findProvider(url);
+    if (provider !== undefined) {
+      if (provider.normalizeUrl !== undefined) {
+        url = provider.normalizeUrl(url);
+      }
+      if (provider.mime !== false) {
+        mime = (provider.mime ? provider.mime : provider.name);
+      }
     }
     else {
-      // Try to find a provider
-      for (i = 0; i < C.providers.length; i++) {
-        if (C.providers[i].regexp.test(url)) {
-          mime = C.providers[i].name;
-          break;
-        }
+      var matches = url.match(/\.(webm|mp4|ogv|m4a|mp3|ogg|oga|wav)/i);
+      if (matches !== null) {
+        mime = matches[matches.length - 1];
       }
     }
 
@@ -482,10 +493,45 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
     var index = (this.updateIndex !== undefined ? this.updateIndex : this.params.length);
     this.params[index] = file;
     this.addFile(index);
+    var $file = this.$files.children().eq(index);
 
     for (i = 0; i < this.changes.length; i++) {
       this.changes[i](file);
     }
+
+    // Let the author know who to credit
+    C.getMetadata(url, function (metadata) {
+      if (metadata !== undefined) {
+        showMetadata($file, metadata);
+        that.prefillCopyright(url, metadata);
+      }
+    });
+  };
+
+  /**
+   * Fill in the empty copyright fields using the metadata of a media URL.
+   *
+   * @param {string} url
+   * @param {Object} metadata From the provider
+   */
+  C.prototype.prefillCopyright = function (url, metadata) {
+    if (this.children === undefined) {
+      return; // Copyright is disabled
+    }
+
+    var values = {
+      title: metadata.title,
+      author: metadata.author,
+      source: url
+    };
+
+    var fields = this.children[0].children;
+    for (var i = 0; i < fields.length; i++) {
+      var value = values[fields[i].field.name];
+      if (value && fields[i] instanceof ns.Text && !H5P.trim(fields[i].$input.val())) {
+        fields[i].forceValue(value);
+      }
+    }
   };
 
   /**
@@ -501,6 +547,8 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
    * Remove this field/widget.
    */
   C.prototype.remove = function () {
+    // Make sure the upload doesn't change the params of a removed item
+    this.abortUploads();
     this.$errors.parent().remove();
   };
 
@@ -661,12 +709,277 @@ H5PEditor.widgets.video = H5PEditor.widgets.audio = H5PEditor.AV = (function ($)
 
   /**
    * Providers incase mime type is unknown.
+   * Use C.registerProvider to add more.
+   * @public
+   */
+  C.providers = [];
+
+  /**
+   * Add support for the URLs of a media service. Providers registered last
+   * are tried first, making it possible to replace the built-in ones.
+   *
+   * @public
+   * @param {Object} provider
+   * @param {string} provider.name Used as MIME subtype for the URLs, e.g. video/YouTube
+   * @param {RegExp} provider.regexp Matches the URLs of the provider
+   * @param {string|boolean} [provider.mime] MIME subtype if different from
+   *   the name. False if the provider only supplies metadata.
+   * @param {function} [provider.normalizeUrl] Receives the URL entered by
+   *   the author and returns the URL to store
+   * @param {function} [provider.fetchMetadata] Receives the URL and a
+   *   callback for the error or an object with title, duration (seconds),
+   *   thumbnail, author and authorUrl
+   */
+  C.registerProvider = function (provider) {
+    C.providers = C.providers.filter(function (registered) {
+      return registered.name !== provider.name;
+    });
+    C.providers.unshift(provider);
+  };
+
+  /**
+   * Find the provider of the given URL. Direct links to media files don't
+   * have a provider.
+   *
+   * @public
+   * @param {string} url
+   * @returns {Object|undefined}
+   */
+  C.findProvider = function (url) {
+    if (url.match(/\.(webm|mp4|ogv|m4a|mp3|ogg|oga|wav)/i)) {
+      return;
+    }
+
+    for (var i = 0; i < C.providers.length; i++) {
+      if (C.providers[i].regexp.test(url)) {
+        return C.providers[i];
+      }
+    }
+  };
+
+  /**
+   * Display the title, duration and thumbnail of a media file.
+   *
+   * @private
+   * @param {jQuery} $file
+   * @param {Object} metadata
+   */
+  var showMetadata = function ($file, metadata) {
+    if ($file.children('.h5p-av-details').length) {
+      return; // Already shown
+    }
+
+    var $thumbnail = $file.children('.h5p-thumbnail');
+    if (metadata.thumbnail) {
+      $thumbnail.children('.h5p-type')
+        .addClass('h5p-has-thumbnail')
+        .css('background-image', 'url("' + metadata.thumbnail.replace(/"/g, '%22') + '")');
+    }
+
+    if (!metadata.title && !metadata.duration) {
+      return;
+    }
+
+    var $details = $('<div/>', {
+      'class': 'h5p-av-details',
+      appendTo: $file
+    });
+    if (metadata.title) {
+      $thumbnail.attr('title', metadata.title);
+      $('<div/>', {
+        'class': 'h5p-av-title',
+        text: metadata.title,
+        appendTo: $details
+      });
+    }
+    if (metadata.duration) {
+      $('<div/>', {
+        'class': 'h5p-av-duration',
+        text: C.formatDuration(metadata.duration),
+        appendTo: $details
+      });
+    }
+  };
+
+  /**
+   * Display the metadata of a media file once the author can see the file,
+   * so that the providers aren't asked about every file in the form.
+   *
+   * @private
+   * @param {jQuery} $file
+   * @param {string} url
+   */
+  var showMetadataWhenVisible = function ($file, url) {
+    var show = function () {
+      C.getMetadata(url, function (metadata) {
+        if (metadata !== undefined) {
+          showMetadata($file, metadata);
+        }
+      });
+    };
+
+    if (window.IntersectionObserver === undefined) {
+      show();
+      return;
+    }
+
+    var observer = new IntersectionObserver(function (entries) {
+      for (var i = 0; i < entries.length; i++) {
+        if (entries[i].isIntersecting) {
+          observer.disconnect();
+          show();
+          return;
+        }
+      }
+    });
+    observer.observe($file[0]);
+  };
+
+  // Metadata fetched for each URL
+  var metadataCache = {};
+
+  /**
+   * Get the metadata for a media URL from its provider.
+   *
+   * @public
+   * @param {string} url
+   * @param {function} callback Receives the metadata, if found
+   */
+  C.getMetadata = function (url, callback) {
+    var provider = C.findProvider(url);
+    if (provider === undefined || provider.fetchMetadata === undefined) {
+      callback();
+      return;
+    }
+
+    if (metadataCache[url] === undefined) {
+      metadataCache[url] = [];
+      provider.fetchMetadata(url, function (err, metadata) {
+        var callbacks = metadataCache[url];
+        if (err) {
+          delete metadataCache[url]; // Try again next time
+        }
+        else {
+          metadataCache[url] = metadata;
+        }
+
+        for (var i = 0; i < callbacks.length; i++) {
+          callbacks[i](err ? undefined : metadata);
+        }
+      });
+    }
+
+    if (metadataCache[url] instanceof Array) {
+      metadataCache[url].push(callback); // Waiting for the provider
+    }
+    else {
+      callback(metadataCache[url]);
+    }
+  };
+
+  /**
+   * Fetch oEmbed data through the proxy, since the providers rarely allow
+   * requests from other sites. Hosts can use their own proxy by setting
+   * H5PIntegration.editor.oEmbedProxy.
+   *
+   * @public
+   * @param {string} url Of the media
+   * @param {string} provider Name of a provider known by the proxy, i.e.
+   *   YouTube, Vimeo, Panopto, or oEmbed to find the data through the page
+   *   of the media
+   * @param {function} callback Receives the error or the metadata
+   */
+  C.fetchOEmbed = function (url, provider, callback) {
+    var parameters = {
+      url: encodeURIComponent(url),
+      provider: encodeURIComponent(provider)
+    };
+
+    var proxy = H5PIntegration.editor.oEmbedProxy;
+    if (proxy) {
+      for (var property in parameters) {
+        proxy += (proxy.indexOf('?') === -1 ? '?' : '&') + property + '=' + parameters[property];
+      }
+    }
+
+    $.ajax({
+      url: proxy ? proxy : H5PEditor.getAjaxUrl('oembed', parameters),
+      dataType: 'json',
+      success: function (response) {
+        if (!response || response.success === false) {
+          callback(response && response.message ? response.message : H5PEditor.t('core', 'unknownError'));
+          return;
+        }
+
+        var data = (response.success === true ? response.data : response);
+        callback(null, {
+          title: data.title,
+          duration: data.duration,
+          thumbnail: data.thumbnail_url,
+          author: data.author_name,
+          authorUrl: data.author_url
+        });
+      },
+      error: function (xhr, status, error) {
+        callback(error || status);
+      }
+    });
+  };
+
+  /**
+   * Format a duration for display.
+   *
    * @public
+   * @param {number} seconds
+   * @returns {string} E.g. 1:05:09
    */
-  C.providers = [{
+  C.formatDuration = function (seconds) {
+    seconds = Math.round(seconds);
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    var pad = function (number) {
+      return (number < 10 ? '0' : '') + number;
+    };
+
+    return (hours ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds % 60);
+  };
+
+  // Any other page with oEmbed data
+  C.registerProvider({
+    name: 'oEmbed',
+    regexp: /^https?:\/\//i,
+    mime: false,
+    fetchMetadata: function (url, callback) {
+      C.fetchOEmbed(url, 'oEmbed', callback);
+    }
+  });
+
+  C.registerProvider({
+    name: 'Panopto',
+    regexp: /^https?:\/\/((?:[a-z0-9-]+\.)*panopto\.(?:com|eu))\/Panopto\/.+\?id=(.+)$/i,
+    fetchMetadata: function (url, callback) {
+      C.fetchOEmbed(url, 'Panopto', callback);
+    }
+  });
+
+  C.registerProvider({
+    name: 'Vimeo',
+    regexp: /^(?:https?:\/\/)?(?:www\.|player\.)?vimeo\.com\/(?:channels\/[^\/]+\/|groups\/[^\/]+\/videos\/|video\/)?([0-9]+)/i,
+    normalizeUrl: function (url) {
+      return 'https://vimeo.com/' + url.match(this.regexp)[1];
+    },
+    fetchMetadata: function (url, callback) {
+      C.fetchOEmbed(url, 'Vimeo', callback);
+    }
+  });
+
+  C.registerProvider({
     name: 'YouTube',
-    regexp: /(?:https?:\/\/)?(?:www\.)?(?:(?:youtube.com\/(?:attribution_link\?(?:\S+))?(?:v\/|embed\/|watch\/|(?:user\/(?:\S+)\/)?watch(?:\S+)v\=))|(?:youtu.be\/|y2u.be\/))([A-Za-z0-9_-]{11})/i
-  }];
+    regexp: /(?:https?:\/\/)?(?:www\.)?(?:(?:youtube.com\/(?:attribution_link\?(?:\S+))?(?:v\/|embed\/|watch\/|(?:user\/(?:\S+)\/)?watch(?:\S+)v\=))|(?:youtu.be\/|y2u.be\/))([A-Za-z0-9_-]{11})/i,
+    fetchMetadata: function (url, callback) {
+      C.fetchOEmbed(url, 'YouTube', callback);
+    }
+  });
 
   // Avoid ID attribute collisions
   let idCounter = 0;
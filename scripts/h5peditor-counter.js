@@ -0,0 +1,138 @@
+/* global ns */
+H5PEditor.Counter = (function ($) {
+
+  /**
+   * Tags that put the text around them on separate lines.
+   *
+   * @constant {RegExp}
+   */
+  var BREAKS = /<(br|\/?(address|blockquote|div|h[1-6]|li|p|pre|td|th|tr))\b[^>]*>/gi;
+
+  /**
+   * Displays the number of characters and words used in a text field, and
+   * warns when the text is longer than recommended. The recommendations are
+   * set by softMaxLength and recommendedWords in the field's semantics.
+   *
+   * @class H5PEditor.Counter
+   * @param {Object} field Semantics
+   */
+  function Counter(field) {
+    var self = this;
+
+    var maxCharacters = (field.softMaxLength !== undefined ? field.softMaxLength : field.maxLength);
+    var maxWords = field.recommendedWords;
+
+    var isActive = false;
+    var isTooLong = false;
+
+    var $wrapper = $('<div/>', {
+      'class': 'h5peditor-counter'
+    }).hide();
+
+    var $count = $('<span/>', {
+      'class': 'h5peditor-counter-count',
+      appendTo: $wrapper
+    });
+
+    var $warning = $('<div/>', {
+      'class': 'h5peditor-counter-warning',
+      'aria-live': 'polite',
+      appendTo: $wrapper
+    });
+
+    /**
+     * Get the count with its recommended max, if there is one.
+     *
+     * @private
+     * @param {number} count
+     * @param {number} [max]
+     * @param {string} key Translation of the count
+     * @return {string}
+     */
+    var format = function (count, max, key) {
+      return ns.t('core', key + (max === undefined ? '' : 'Of'), {':count': count, ':max': max});
+    };
+
+    /**
+     * Display the counter while the field is being edited, or when the text
+     * is too long.
+     *
+     * @private
+     */
+    var toggle = function () {
+      $wrapper.toggle(isActive || isTooLong);
+    };
+
+    /**
+     * Count the characters and words of the text. Line breaks are not
+     * counted.
+     *
+     * @param {string} text
+     */
+    self.update = function (text) {
+      text = H5P.trim(text);
+      var characters = text.replace(/[\r\n]/g, '').length;
+      var words = (text.length ? text.split(/\s+/).length : 0);
+
+      $count.text(format(characters, maxCharacters, 'counterCharacters') + ' · ' + format(words, maxWords, 'counterWords'));
+
+      var warnings = [];
+      if (field.softMaxLength !== undefined && characters > field.softMaxLength) {
+        warnings.push(ns.t('core', 'tooManyCharacters', {':max': field.softMaxLength}));
+      }
+      if (maxWords !== undefined && words > maxWords) {
+        warnings.push(ns.t('core', 'tooManyWords', {':max': maxWords}));
+      }
+
+      var warning = warnings.join(' ');
+      if ($warning.text() !== warning) {
+        $warning.text(warning); // Only announced when it changes
+      }
+      isTooLong = (warnings.length > 0);
+      $wrapper.toggleClass('h5peditor-counter-too-long', isTooLong);
+      toggle();
+    };
+
+    /**
+     * @param {boolean} active Whether the field is being edited
+     */
+    self.setActive = function (active) {
+      isActive = active;
+      toggle();
+    };
+
+    /**
+     * Keep counting the text of an input or textarea.
+     *
+     * @param {jQuery} $input
+     */
+    self.watch = function ($input) {
+      $input.on('input change', function () {
+        self.update($input.val());
+      }).on('focus blur', function (event) {
+        self.setActive(event.type === 'focus');
+      });
+      self.update($input.val());
+    };
+
+    /**
+     * @param {jQuery} $element
+     */
+    self.insertBefore = function ($element) {
+      $wrapper.insertBefore($element);
+    };
+  }
+
+  /**
+   * Get the visible text of an HTML field, with line breaks between blocks.
+   *
+   * @param {string} html
+   * @return {string}
+   */
+  Counter.getHtmlText = function (html) {
+    var doc = new DOMParser().parseFromString('<body>' + html.replace(BREAKS, '\n$&') + '</body>', 'text/html');
+    return doc.body.textContent;
+  };
+
+  return Counter;
+})(H5P.jQuery);
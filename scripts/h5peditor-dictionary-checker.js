@@ -0,0 +1,295 @@
+/* global ns */
+H5PEditor.DictionaryChecker = (function ($) {
+
+  /**
+   * Max number of suggestions given for a misspelled word.
+   *
+   * @constant {number}
+   */
+  var MAX_SUGGESTIONS = 5;
+
+  /**
+   * Finds the words in a text, including apostrophes inside them.
+   *
+   * @constant {RegExp}
+   */
+  var WORD = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu;
+
+  /**
+   * Prepare the affixes of a dictionary for use, with the condition of each
+   * rule compiled once. The affixes are Hunspell PFX and SFX rules converted
+   * to JSON.
+   *
+   * @private
+   * @param {Object} affixes Rules for each flag
+   * @return {Object} Rules for each flag
+   */
+  var compile = function (affixes) {
+    var compiled = {};
+    for (var flag in affixes) {
+      if (!affixes.hasOwnProperty(flag) || !(affixes[flag].rules instanceof Array)) {
+        continue;
+      }
+
+      var isPrefix = (affixes[flag].type === 'PFX');
+      compiled[flag] = {
+        isPrefix: isPrefix,
+        rules: affixes[flag].rules.map(function (rule) {
+          var condition = rule.condition || '';
+          return {
+            strip: rule.strip || '',
+            add: rule.add || '',
+            condition: new RegExp(isPrefix ? '^' + condition : condition + '$')
+          };
+        })
+      };
+    }
+    return compiled;
+  };
+
+  /**
+   * Create the words made by adding the affixes of a dictionary entry.
+   *
+   * @private
+   * @param {string} word
+   * @param {string} flags
+   * @param {Object} affixes Compiled rules for each flag, see compile
+   * @param {Object} words The words are added here
+   */
+  var expand = function (word, flags, affixes, words) {
+    words[word] = true;
+
+    for (var i = 0; i < flags.length; i++) {
+      var affix = affixes[flags.charAt(i)];
+      if (affix === undefined) {
+        continue;
+      }
+
+      for (var j = 0; j < affix.rules.length; j++) {
+        var rule = affix.rules[j];
+        if (!rule.condition.test(word)) {
+          continue;
+        }
+
+        if (affix.isPrefix) {
+          words[rule.add + word.substr(rule.strip.length)] = true;
+        }
+        else {
+          words[word.substr(0, word.length - rule.strip.length) + rule.add] = true;
+        }
+      }
+    }
+  };
+
+  /**
+   * Create the list of correct words from a dictionary.
+   *
+   * @private
+   * @param {Object} data With words, where each word may be followed by a
+   *   slash and the flags of its affixes, like in a Hunspell .dic file
+   * @return {Object} Correct words as keys
+   */
+  var parse = function (data) {
+    var words = Object.create(null);
+    var affixes = compile(data.affixes || {});
+
+    (data.words || []).forEach(function (entry) {
+      var slash = entry.indexOf('/');
+      if (slash === -1) {
+        words[entry] = true;
+      }
+      else {
+        expand(entry.substr(0, slash), entry.substr(slash + 1), affixes, words);
+      }
+    });
+
+    return words;
+  };
+
+  /**
+   * Check if the dictionary has the word, allowing words written with a
+   * capital first letter or in upper case.
+   *
+   * @private
+   * @param {Object} words
+   * @param {string} word
+   * @return {boolean}
+   */
+  var isCorrect = function (words, word) {
+    if (words[word]) {
+      return true;
+    }
+
+    var lower = word.toLowerCase();
+    if (word === word.toUpperCase()) {
+      return true; // Abbreviations
+    }
+    return (word.charAt(0) + lower.substr(1) === word && words[lower] === true);
+  };
+
+  /**
+   * Find the correct words that differ from the given word by one letter
+   * being removed, added, replaced or swapped with the next one.
+   *
+   * @private
+   * @param {Object} words
+   * @param {string} word
+   * @param {string} letters Used in the dictionary's language
+   * @return {Array}
+   */
+  var suggest = function (words, word, letters) {
+    var suggestions = [];
+    var isCapitalized = (word.charAt(0) !== word.charAt(0).toLowerCase());
+    var lower = word.toLowerCase();
+
+    var add = function (candidate) {
+      if (isCapitalized) {
+        candidate = candidate.charAt(0).toUpperCase() + candidate.substr(1);
+      }
+      if (candidate !== word && suggestions.indexOf(candidate) === -1 && isCorrect(words, candidate)) {
+        suggestions.push(candidate);
+      }
+    };
+
+    for (var i = 0; i <= lower.length && suggestions.length < MAX_SUGGESTIONS; i++) {
+      var before = lower.substr(0, i);
+      var after = lower.substr(i);
+
+      if (after.length > 1) {
+        add(before + after.charAt(1) + after.charAt(0) + after.substr(2));
+      }
+      if (after.length) {
+        add(before + after.substr(1));
+      }
+      for (var j = 0; j < letters.length; j++) {
+        add(before + letters.charAt(j) + after);
+        if (after.length) {
+          add(before + letters.charAt(j) + after.substr(1));
+        }
+      }
+    }
+
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+  };
+
+  /**
+   * Find the letters used by the words of a dictionary.
+   *
+   * @private
+   * @param {Object} words
+   * @return {string}
+   */
+  var getLetters = function (words) {
+    var letters = {};
+    for (var word in words) {
+      for (var i = 0; i < word.length; i++) {
+        letters[word.charAt(i).toLowerCase()] = true;
+      }
+    }
+    return Object.keys(letters).join('');
+  };
+
+  /**
+   * Spell checker using dictionaries loaded from the server, which means it
+   * works without any external services.
+   *
+   * @class H5PEditor.DictionaryChecker
+   * @param {Object} urls Dictionary for each language code. Each dictionary
+   *   is a JSON file with words and optionally affixes, see parse.
+   */
+  function DictionaryChecker(urls) {
+    var self = this;
+
+    // Loaded dictionaries, or callbacks waiting for them
+    var dictionaries = {};
+
+    /**
+     * Find the dictionary for a language, falling back to the language
+     * without its region.
+     *
+     * @private
+     * @param {string} language
+     * @return {string|undefined}
+     */
+    var getUrl = function (language) {
+      return urls[language] || urls[language.split('-')[0]];
+    };
+
+    /**
+     * Load the dictionary used for the given language.
+     *
+     * @private
+     * @param {string} language
+     * @param {function} callback Receives the dictionary, or nothing if there
+     *   is none
+     */
+    var load = function (language, callback) {
+      var url = getUrl(language);
+      if (url === undefined) {
+        callback();
+        return;
+      }
+
+      var dictionary = dictionaries[url];
+      if (dictionary === undefined) {
+        dictionary = dictionaries[url] = {
+          callbacks: [callback]
+        };
+
+        $.ajax({
+          url: url,
+          dataType: 'json'
+        }).done(function (data) {
+          dictionary.words = parse(data);
+          dictionary.letters = getLetters(dictionary.words);
+        }).always(function () {
+          var callbacks = dictionary.callbacks;
+          delete dictionary.callbacks;
+          callbacks.forEach(function (waiting) {
+            waiting(dictionary.words === undefined ? undefined : dictionary);
+          });
+        });
+      }
+      else if (dictionary.callbacks !== undefined) {
+        dictionary.callbacks.push(callback);
+      }
+      else {
+        callback(dictionary.words === undefined ? undefined : dictionary);
+      }
+    };
+
+    /**
+     * Find the misspelled words in a text.
+     *
+     * @param {string} text
+     * @param {string} language
+     * @param {function} callback Receives the issues found
+     */
+    self.check = function (text, language, callback) {
+      load(language, function (dictionary) {
+        var issues = [];
+        if (dictionary === undefined) {
+          callback(issues);
+          return;
+        }
+
+        var match;
+        WORD.lastIndex = 0;
+        while ((match = WORD.exec(text)) !== null) {
+          var word = match[0];
+          if (!isCorrect(dictionary.words, word) && !isCorrect(dictionary.words, word.replace(/’/g, '\''))) {
+            issues.push({
+              start: match.index,
+              length: word.length,
+              message: ns.t('core', 'misspelledWord', {':word': word}),
+              suggestions: suggest(dictionary.words, word, dictionary.letters)
+            });
+          }
+        }
+        callback(issues);
+      });
+    };
+  }
+
+  return DictionaryChecker;
+})(H5P.jQuery);
@@ -0,0 +1,236 @@
+/* global ns */
+H5PEditor.Drafts = (function () {
+
+  /**
+   * Keeps a draft copy of the content being edited in the browser storage,
+   * making it possible to recover unsaved changes after a crash.
+   *
+   * @class H5PEditor.Drafts
+   * @param {number|string} [contentId] Not set for new content
+   * @param {string} [library] The library the content was saved with
+   * @param {string} [savedParams] The params as they were last saved
+   */
+  function Drafts(contentId, library, savedParams) {
+    var self = this;
+
+    savedParams = savedParams ? savedParams : '';
+
+    var key = getKey(contentId, library);
+
+    // Identifies the saved version of the content the drafts are based on
+    var version = hash(savedParams);
+
+    // Callback for getting the current content, pending save and interval
+    var getContent, timer, interval;
+
+    // Params of the last draft, or of the content when no draft is needed
+    var stored;
+
+    // The params as first serialised after the form loaded. Loading adds
+    // defaults, metadata and sub content IDs, so these differ from the saved
+    // params even when nothing has been changed.
+    var baseline;
+
+    // Whether the form was loaded from a draft
+    var isRestored = false;
+
+    /**
+     * Write the current content to storage if it has changed.
+     *
+     * @private
+     */
+    var store = function () {
+      clearTimeout(timer);
+      timer = undefined;
+
+      var content = getContent();
+      if (!content || baseline === undefined || content.params === stored) {
+        return; // Nothing new to store
+      }
+
+      stored = content.params;
+      if (content.params === baseline && !isRestored) {
+        ns.storage.remove(key); // The changes have been undone
+        return;
+      }
+
+      ns.storage.set(key, {
+        version: version,
+        savedAt: Date.now(),
+        library: content.library,
+        params: content.params
+      });
+    };
+
+    /**
+     * Look for a draft that is newer than the saved content.
+     *
+     * @param {function} next Receives the draft, if any
+     */
+    self.get = function (next) {
+      ns.storage.get(key, function (draft) {
+        if (!draft || typeof draft !== 'object') {
+          next();
+          return;
+        }
+
+        if (draft.version !== version || draft.savedAt + Drafts.MAX_AGE < Date.now()) {
+          // The content has been saved since or the draft is too old
+          self.discard();
+          next();
+          return;
+        }
+
+        next(draft);
+      });
+    };
+
+    /**
+     * Start storing drafts periodically.
+     *
+     * @param {function} callback Returns an object with library and params
+     * @param {boolean} [restored] The form is loaded from the stored draft
+     */
+    self.start = function (callback, restored) {
+      getContent = callback;
+      isRestored = !!restored;
+      stored = baseline = undefined;
+
+      clearInterval(interval);
+      interval = setInterval(store, Drafts.INTERVAL);
+    };
+
+    /**
+     * Stop storing drafts.
+     */
+    self.stop = function () {
+      clearTimeout(timer);
+      clearInterval(interval);
+      timer = interval = undefined;
+      getContent = undefined;
+    };
+
+    /**
+     * Remember the content as it is when the form has loaded, so that only
+     * changes made after this are stored.
+     */
+    self.loaded = function () {
+      if (getContent === undefined || baseline !== undefined) {
+        return; // Reloading the form, e.g. when undoing, is a change
+      }
+
+      var content = getContent();
+      if (content) {
+        baseline = stored = content.params;
+        if (contentId) {
+          removeSavedNewDraft(baseline);
+        }
+      }
+    };
+
+    /**
+     * The drafts of new content are kept when it is submitted, in case the
+     * save fails, so it is removed once the saved content has been loaded.
+     *
+     * @private
+     * @param {string} params Of the loaded content
+     */
+    var removeSavedNewDraft = function (params) {
+      var newKey = getKey();
+      ns.storage.get(newKey, function (draft) {
+        if (draft && typeof draft === 'object' && draft.params === params) {
+          ns.storage.remove(newKey);
+        }
+      });
+    };
+
+    /**
+     * Store the latest changes and stop storing drafts, as the content is
+     * being saved. The draft is kept in case the save fails, and removed
+     * once the saved content is loaded.
+     */
+    self.submitted = function () {
+      if (getContent !== undefined) {
+        store();
+      }
+      self.stop();
+    };
+
+    /**
+     * Store a draft once the content has stopped changing.
+     */
+    self.update = function () {
+      if (getContent === undefined) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(store, Drafts.DELAY);
+    };
+
+    /**
+     * Stop storing drafts and remove the one stored.
+     */
+    self.discard = function () {
+      self.stop();
+      ns.storage.remove(key);
+    };
+  }
+
+  /**
+   * Get the storage key of the draft of the given content.
+   *
+   * @private
+   * @param {number|string} [contentId] Not set for new content
+   * @param {string} [library]
+   * @return {string}
+   */
+  var getKey = function (contentId, library) {
+    return Drafts.KEY_PREFIX + (contentId ? contentId : 'new') + '-' + (library ? library : 'none');
+  };
+
+  /**
+   * Create a short fingerprint of the given text.
+   *
+   * @private
+   * @param {string} text
+   * @return {number}
+   */
+  var hash = function (text) {
+    var value = 0;
+    for (var i = 0; i < text.length; i++) {
+      value = ((value << 5) - value + text.charCodeAt(i)) | 0;
+    }
+    return value;
+  };
+
+  /**
+   * Prefix for the storage keys of the drafts.
+   *
+   * @constant {string}
+   */
+  Drafts.KEY_PREFIX = 'h5peditor-draft-';
+
+  /**
+   * Number of milliseconds to wait for more changes before storing a draft.
+   *
+   * @constant {number}
+   */
+  Drafts.DELAY = 1000;
+
+  /**
+   * Number of milliseconds between each check for unsaved changes.
+   *
+   * @constant {number}
+   */
+  Drafts.INTERVAL = 30000;
+
+  /**
+   * Number of milliseconds until a draft expires (one week).
+   *
+   * @constant {number}
+   */
+  Drafts.MAX_AGE = 604800000;
+
+  return Drafts;
+})();
@@ -4,7 +4,14 @@ window.ns = window.H5PEditor = window.H5PEditor || {};
 /**
  * Construct the editor.
  *
+ * Triggers the following events:
+ * - ready: The form for the content has been loaded
+ * - change: A value has changed, with the path, oldValue and newValue
+ * - libraryChanged: A content type has been changed, with path and library
+ * - validationStateChanged: The form went from valid to invalid or back
+ *
  * @class H5PEditor.Editor
+ * @extends H5P.EventDispatcher
  * @param {string} library
  * @param {Object} defaultParams
  * @param {Element} replace
@@ -13,9 +20,21 @@ window.ns = window.H5PEditor = window.H5PEditor || {};
 ns.Editor = function (library, defaultParams, replace, iframeLoaded) {
   var self = this;
 
+  // Support for events
+  H5P.EventDispatcher.call(this);
+
   // Library may return "0", make sure this doesn't return true in checks
   library = library && library != 0 ? library : '';
 
+  // Drafts are compared to what was last saved, even if the iframe reloads
+  var savedLibrary = library;
+  var savedParams = defaultParams;
+  var draftChecked = false;
+  var draftRestored = false;
+
+  // The content type of the form that was last loaded
+  var loadedLibrary;
+
   // Define iframe DOM Element through jQuery
   var $iframe = ns.$('<iframe/>', {
     'css': {
@@ -144,17 +163,15 @@ ns.Editor = function (library, defaultParams, replace, iframeLoaded) {
       return exit;
     };
 
-    // Load libraries data
-    $.ajax({
-      url: this.contentWindow.H5PEditor.getAjaxUrl(H5PIntegration.hubIsEnabled ? 'content-type-cache' : 'libraries')
-    }).fail(function () {
-      $container.html('Error, unable to load libraries.');
-    }).done(function (data) {
-      if (data.success === false) {
-        $container.html(data.message + ' (' + data.errorCode  + ')');
-        return;
-      }
+    var Drafts = this.contentWindow.H5PEditor.Drafts;
 
+    /**
+     * Create the library selector which loads the content form.
+     *
+     * @private
+     * @param {Object} data Libraries
+     */
+    var createSelector = function (data) {
       // Create library selector
       self.selector = new LibrarySelector(data, library, defaultParams);
       self.selector.appendTo($container.html(''));
@@ -174,10 +191,118 @@ ns.Editor = function (library, defaultParams, replace, iframeLoaded) {
       self.selector.on('editorload', relayEvent);
       self.selector.on('editorloaded', relayEvent);
 
+      /**
+       * Event handler for letting the integration know about changes
+       *
+       * @private
+       * @param {H5P.Event} event
+       */
+      var triggerEvent = function (event) {
+        self.trigger(event.type, event.data);
+      };
+      self.selector.on('change', triggerEvent);
+      self.selector.on('libraryChanged', triggerEvent);
+      self.selector.on('validationStateChanged', triggerEvent);
+
+      self.selector.on('editorloaded', function (event) {
+        if (loadedLibrary !== undefined && event.data !== loadedLibrary) {
+          // The main content type has been replaced
+          self.trigger('libraryChanged', {
+            path: '',
+            library: event.data
+          });
+        }
+        loadedLibrary = event.data;
+
+        self.trigger('ready', {
+          library: event.data
+        });
+      });
+
+      // Keep a draft of the changes in case the browser crashes
+      self.selector.on('change', self.drafts.update);
+      self.selector.on('editorloaded', self.drafts.loaded);
+      self.drafts.start(function () {
+        if (!self.selector.form || !self.selector.form.params) {
+          return; // Nothing to keep
+        }
+
+        // Validating would display errors in fields not yet filled in
+        return {
+          library: self.getLibrary(),
+          params: JSON.stringify({
+            params: self.selector.form.params,
+            metadata: self.selector.form.metadata
+          })
+        };
+      }, draftRestored);
+
       // Set library if editing
       if (library) {
         self.selector.setLibrary(library);
       }
+    };
+
+    /**
+     * Let the user decide what to do with unsaved changes from last time.
+     *
+     * @private
+     * @param {Object} draft
+     * @param {Object} data Libraries
+     */
+    var offerDraft = function (draft, data) {
+      var $draft = $('<div class="h5peditor-draft" role="alert">' +
+        '<p>' + ns.t('core', 'unsavedDraft', {':time': new Date(draft.savedAt).toLocaleString()}) + '</p>' +
+      '</div>').appendTo($container.html(''));
+
+      $('<button type="button" class="h5peditor-button-textual h5peditor-draft-restore">' + ns.t('core', 'restoreDraft') + '</button>')
+        .click(function () {
+          library = draft.library;
+          defaultParams = draft.params;
+          draftRestored = true;
+          createSelector(data);
+        })
+        .appendTo($draft);
+
+      $('<button type="button" class="h5peditor-button-textual h5peditor-draft-discard">' + ns.t('core', 'discardDraft') + '</button>')
+        .click(function () {
+          self.drafts.discard();
+          createSelector(data);
+        })
+        .appendTo($draft);
+    };
+
+    // Load libraries data
+    $.ajax({
+      url: this.contentWindow.H5PEditor.getAjaxUrl(H5PIntegration.hubIsEnabled ? 'content-type-cache' : 'libraries')
+    }).fail(function () {
+      $container.html('Error, unable to load libraries.');
+    }).done(function (data) {
+      if (data.success === false) {
+        $container.html(data.message + ' (' + data.errorCode  + ')');
+        return;
+      }
+
+      if (self.drafts !== undefined) {
+        self.drafts.stop(); // From before the iframe was reloaded
+      }
+      self.drafts = new Drafts(ns.contentId, savedLibrary, savedParams);
+
+      if (draftChecked) {
+        createSelector(data);
+        return;
+      }
+
+      // Look for unsaved changes when the editor is first opened
+      draftChecked = true;
+      self.drafts.get(function (draft) {
+        if (draft) {
+          offerDraft(draft, data);
+        }
+        else {
+          createSelector(data);
+        }
+      });
     });
 
     // Start resizing the iframe
@@ -237,6 +362,10 @@ ns.Editor = function (library, defaultParams, replace, iframeLoaded) {
   populateIframe();
 };
 
+// Extends the event dispatcher
+ns.Editor.prototype = Object.create(H5P.EventDispatcher.prototype);
+ns.Editor.prototype.constructor = ns.Editor;
+
 /**
  * Find out which library is used/selected.
  *
@@ -281,15 +410,27 @@ ns.Editor.prototype.getParams = function (notFormSubmit) {
  *
  * @alias H5PEditor.Editor#getContent
  * @param {Function} submit Callback to submit the content data
- * @param {Function} [error] Callback on failure
+ * @param {Function} [error] Callback on failure, receives a H5PEditor.ContentError.
+ *   Without it, the content is saved even if fields have errors.
  */
 ns.Editor.prototype.getContent = function (submit, error) {
   const iframeEditor = this.iframeWindow.H5PEditor;
 
-  if (!this.selector.form) {
+  /**
+   * Report why the content can't be saved.
+   *
+   * @private
+   * @param {string} code
+   * @param {Object} [options] Path and nested errors
+   */
+  const fail = function (code, options) {
     if (error) {
-      error('content-not-selected');
+      error(new iframeEditor.ContentError(code, options));
     }
+  };
+
+  if (!this.selector.form) {
+    fail('content-not-selected');
     return;
   }
 
@@ -300,27 +441,34 @@ ns.Editor.prototype.getContent = function (submit, error) {
   };
 
   if (!content.title) {
-    if (error) {
-      error('missing-title');
-    }
+    fail('missing-title', {
+      path: '/metadata/title'
+    });
     return;
   }
   if (!content.library) {
-    if (error) {
-      error('missing-library');
-    }
+    fail('missing-library');
     return;
   }
   if (!content.params) {
-    if (error) {
-      error('missing-params');
-    }
+    fail('missing-params');
     return;
   }
   if (!content.params.params) {
-    if (error) {
-      error('missing-params-params');
-    }
+    fail('missing-params-params', {
+      path: '/params'
+    });
+    return;
+  }
+
+  // Integrations that don't handle errors save the content regardless, like
+  // they always have
+  const errors = (error ? this.selector.form.getErrors() : []);
+  if (errors.length) {
+    fail('validation-failed', {
+      path: errors[0].path,
+      errors: errors
+    });
     return;
   }
 
@@ -329,7 +477,7 @@ ns.Editor.prototype.getContent = function (submit, error) {
   tmp.innerHTML = content.title;
   content.title = tmp.textContent; // WARNING: This is text, do NOT insert as HTML.
 
-  library = new iframeEditor.ContentType(content.library);
+  const library = new iframeEditor.ContentType(content.library);
   const upgradeLibrary = iframeEditor.ContentType.getPossibleUpgrade(library, this.selector.libraries.libraries !== undefined ? this.selector.libraries.libraries : this.selector.libraries);
   if (upgradeLibrary) {
     // We need to run content upgrade before saving
@@ -353,6 +501,31 @@ ns.Editor.prototype.getContent = function (submit, error) {
   }
 };
 
+/**
+ * Store the latest changes and stop keeping drafts while the content is
+ * being saved. The draft is kept until the saved content is loaded, in case
+ * the save fails.
+ *
+ * @alias H5PEditor.Editor#submitDraft
+ */
+ns.Editor.prototype.submitDraft = function () {
+  if (this.drafts !== undefined) {
+    this.drafts.submitted();
+  }
+};
+
+/**
+ * Remove the draft kept of the content, e.g. when the site knows that it has
+ * been saved.
+ *
+ * @alias H5PEditor.Editor#discardDraft
+ */
+ns.Editor.prototype.discardDraft = function () {
+  if (this.drafts !== undefined) {
+    this.drafts.discard();
+  }
+};
+
 /**
  * Check if main title is set. If not, focus on it!
  *
@@ -387,6 +560,58 @@ ns.Editor.prototype.getMaxScore = function (content) {
   }
 };
 
+/**
+ * Get the undo history of the current form.
+ *
+ * @alias H5PEditor.Editor#getHistory
+ * @return {H5PEditor.History|undefined}
+ */
+ns.Editor.prototype.getHistory = function () {
+  if (this.selector !== undefined && this.selector.form !== undefined) {
+    return this.selector.form.history;
+  }
+};
+
+/**
+ * Revert the last change made in the editor.
+ *
+ * @alias H5PEditor.Editor#undo
+ * @return {boolean} False if there is nothing to undo
+ */
+ns.Editor.prototype.undo = function () {
+  const history = this.getHistory();
+  return history !== undefined && history.undo();
+};
+
+/**
+ * Reapply the last change that was undone.
+ *
+ * @alias H5PEditor.Editor#redo
+ * @return {boolean} False if there is nothing to redo
+ */
+ns.Editor.prototype.redo = function () {
+  const history = this.getHistory();
+  return history !== undefined && history.redo();
+};
+
+/**
+ * @alias H5PEditor.Editor#canUndo
+ * @return {boolean}
+ */
+ns.Editor.prototype.canUndo = function () {
+  const history = this.getHistory();
+  return history !== undefined && history.canUndo();
+};
+
+/**
+ * @alias H5PEditor.Editor#canRedo
+ * @return {boolean}
+ */
+ns.Editor.prototype.canRedo = function () {
+  const history = this.getHistory();
+  return history !== undefined && history.canRedo();
+};
+
 /**
  * Trigger semi-fullscreen for $iframe and $element.
  *
@@ -3,101 +3,601 @@ H5PEditor.FileUploader = (function ($, EventDispatcher) {
   /**
    * File Upload API for H5P
    *
+   * Files larger than H5PIntegration.editor.chunkSize are sent in chunks of
+   * that many bytes, avoiding the server's upload size limits.
+   *
    * @class H5PEditor.FileUploader
    * @extends H5P.EventDispatcher
    * @param {Object} field Required for validating the uploaded file
+   * @param {Object} [options]
+   * @param {boolean} [options.multiple] Allow selecting multiple files
    */
-  function FileUploader(field) {
+  function FileUploader(field, options) {
     var self = this;
 
     // Initialize event inheritance
     EventDispatcher.call(self);
 
+    options = options || {};
+
+    // Files waiting to be uploaded and the uploads in progress
+    var queue = [];
+    var active = [];
+
+    // Progress of each file in the current batch
+    var progress = [];
+
     /**
-     * Triggers the actual upload of the file.
+     * Check if a failed request is likely to succeed if it is sent again.
+     *
+     * @private
+     * @param {XMLHttpRequest} request
+     * @return {boolean}
+     */
+    var isTransient = function (request) {
+      return FileUploader.TRANSIENT_STATUSES.indexOf(request.status) !== -1;
+    };
+
+    /**
+     * Update the progress of a file and the batch it belongs to.
+     *
+     * @private
+     * @param {Object} task
+     * @param {number} fraction
+     */
+    var setProgress = function (task, fraction) {
+      progress[task.index] = fraction;
+      self.trigger('fileUploadProgress', {
+        index: task.index,
+        file: task.file,
+        progress: fraction
+      });
+
+      var total = 0;
+      for (var i = 0; i < progress.length; i++) {
+        total += progress[i];
+      }
+      self.trigger('uploadProgress', total / progress.length);
+    };
+
+    /**
+     * Finish an upload and start the next one in the queue.
+     *
+     * @private
+     * @param {Object} task
+     * @param {Object} uploadComplete
+     */
+    var complete = function (task, uploadComplete) {
+      active.splice(active.indexOf(task), 1);
+
+      uploadComplete.index = task.index;
+      uploadComplete.file = task.file;
+
+      // Allow the widget to process the result
+      self.trigger('uploadComplete', uploadComplete);
+
+      if (!self.isUploading()) {
+        progress = [];
+        self.trigger('uploadBatchComplete');
+      }
+      next();
+    };
+
+    /**
+     * Read the response to an upload request.
+     *
+     * @private
+     * @param {XMLHttpRequest} request
+     * @return {Object} With the error or data to pass on to the widget
+     */
+    var parseResponse = function (request) {
+      var result;
+      var uploadComplete = {
+        error: null,
+        data: null
+      };
+
+      try {
+        result = JSON.parse(request.responseText);
+      }
+      catch (err) {
+        H5P.error(err);
+        // Add error data to event object
+        uploadComplete.error = H5PEditor.t('core', 'fileToLarge');
+      }
+
+      if (result !== undefined) {
+        if (result.error !== undefined) {
+          uploadComplete.error = result.error;
+        }
+        if (result.success === false) {
+          uploadComplete.error = (result.message ? result.message : H5PEditor.t('core', 'unknownFileUploadError'));
+        }
+      }
+
+      if (uploadComplete.error === null) {
+        // No problems, add response data to event object
+        uploadComplete.data = result;
+      }
+
+      return uploadComplete;
+    };
+
+    /**
+     * Create a request that retries on failures that might go away by
+     * themselves.
      *
+     * @private
+     * @param {Object} task
+     * @param {function} onload Receives the request if it didn't fail
+     * @return {XMLHttpRequest}
+     */
+    var createRequest = function (task, onload) {
+      var request = task.request = new XMLHttpRequest();
+      request.onerror = function () {
+        retry(task, H5PEditor.t('core', 'unknownFileUploadError'));
+      };
+      request.onload = function () {
+        if (isTransient(request)) {
+          retry(task, H5PEditor.t('core', 'unknownFileUploadError'));
+          return;
+        }
+        onload(request);
+      };
+      return request;
+    };
+
+    /**
+     * Check if the file has to be sent in chunks. Requires the integration
+     * to support the chunks endpoint.
+     *
+     * @private
      * @param {Blob|File} file
-     * @param {string} filename Required due to validation
+     * @return {boolean}
      */
-    self.upload = function (file, filename) {
+    var isChunked = function (file) {
+      var chunkSize = H5PIntegration.editor.chunkSize;
+      return chunkSize !== undefined && file.size > chunkSize;
+    };
+
+    /**
+     * Send the file of an upload task to the server.
+     *
+     * @private
+     * @param {Object} task
+     */
+    var send = function (task) {
+      if (isChunked(task.file)) {
+        sendChunk(task);
+        return;
+      }
+
       var formData = new FormData();
-      formData.append('file', file, filename);
+      formData.append('file', task.file, task.filename);
       formData.append('field', JSON.stringify(field));
       formData.append('contentId', H5PEditor.contentId || 0);
 
       // Submit the form
-      var request = new XMLHttpRequest();
+      var request = createRequest(task, function () {
+        setProgress(task, 1);
+        complete(task, parseResponse(request));
+      });
       request.upload.onprogress = function (e) {
         if (e.lengthComputable) {
-          self.trigger('uploadProgress', (e.loaded / e.total));
+          setProgress(task, e.loaded / e.total);
         }
       };
-      request.onload = function () {
-        var result;
-        var uploadComplete = {
-          error: null,
-          data: null
-        };
 
-        try {
-          result = JSON.parse(request.responseText);
-        }
-        catch (err) {
-          H5P.error(err);
-          // Add error data to event object
-          uploadComplete.error = H5PEditor.t('core', 'fileToLarge');
-        }
+      request.open('POST', H5PEditor.getAjaxUrl('files'), true);
+      request.send(formData);
+    };
 
-        if (result !== undefined) {
-          if (result.error !== undefined) {
-            uploadComplete.error = result.error;
+    /**
+     * Get the key used to remember the upload of a file, making it possible
+     * to resume after the page has been reloaded.
+     *
+     * @private
+     * @param {Object} task
+     * @return {string}
+     */
+    var getChunksKey = function (task) {
+      return FileUploader.CHUNKS_KEY_PREFIX + [field.name, task.filename, task.file.size, task.file.lastModified].join('-');
+    };
+
+    /**
+     * Send the next chunk of the file to the server. The server responds
+     * with the number of bytes it has received, which is where the next
+     * chunk starts. If the offset isn't known the server is just asked for
+     * it, e.g. when resuming an upload.
+     *
+     * @private
+     * @param {Object} task
+     */
+    var sendChunk = function (task) {
+      if (task.uploadId === undefined) {
+        // Look for an interrupted upload of the same file
+        H5PEditor.storage.get(getChunksKey(task), function (upload) {
+          if (task.aborted) {
+            return;
+          }
+
+          if (upload && upload.id && upload.startedAt + FileUploader.CHUNKS_MAX_AGE > Date.now()) {
+            task.uploadId = upload.id;
           }
-          if (result.success === false) {
-            uploadComplete.error = (result.message ? result.message : H5PEditor.t('core', 'unknownFileUploadError'));
+          else {
+            task.uploadId = H5P.createUUID();
+            task.offset = 0;
+            H5PEditor.storage.set(getChunksKey(task), {
+              id: task.uploadId,
+              startedAt: Date.now()
+            });
           }
-        }
+          sendChunk(task);
+        });
+        return;
+      }
+
+      var formData = new FormData();
+      formData.append('uploadId', task.uploadId);
+      formData.append('filename', task.filename);
+      formData.append('size', task.file.size);
+      formData.append('field', JSON.stringify(field));
+      formData.append('contentId', H5PEditor.contentId || 0);
 
-        if (uploadComplete.error === null) {
-          // No problems, add response data to event object
-          uploadComplete.data = result;
+      var end;
+      if (task.offset !== undefined) {
+        end = Math.min(task.offset + H5PIntegration.editor.chunkSize, task.file.size);
+        formData.append('offset', task.offset);
+        formData.append('chunk', task.file.slice(task.offset, end), task.filename);
+      }
+
+      var request = createRequest(task, function () {
+        var uploadComplete = parseResponse(request);
+        var result = uploadComplete.data;
+
+        if (result && result.success === true && result.data && result.data.offset !== undefined) {
+          // Continue from the last byte the server has confirmed
+          task.offset = result.data.offset;
+          task.attempts = 1;
+          setProgress(task, task.offset / task.file.size);
+          sendChunk(task);
+          return;
         }
 
-        // Allow the widget to process the result
-        self.trigger('uploadComplete', uploadComplete);
+        // The file has been put together and validated, or it failed
+        H5PEditor.storage.remove(getChunksKey(task));
+        setProgress(task, 1);
+        complete(task, uploadComplete);
+      });
+      request.upload.onprogress = function (e) {
+        if (e.lengthComputable && task.offset !== undefined) {
+          setProgress(task, (task.offset + (end - task.offset) * (e.loaded / e.total)) / task.file.size);
+        }
       };
 
-      request.open('POST', H5PEditor.getAjaxUrl('files'), true);
+      request.open('POST', H5PEditor.getAjaxUrl('file-chunks'), true);
       request.send(formData);
-      self.trigger('upload');
     };
 
     /**
-     * Upload the list of file objects.
-     * TODO: Future improvement, iterate for multiple files
+     * Send the file again after a short delay, or give up if it has failed
+     * too many times.
+     *
+     * @private
+     * @param {Object} task
+     * @param {string} error Used when giving up
+     */
+    var retry = function (task, error) {
+      task.request = undefined;
+      if (task.attempts >= FileUploader.MAX_ATTEMPTS) {
+        complete(task, {
+          error: error,
+          data: null
+        });
+        return;
+      }
+
+      // Chunked uploads resume from the last confirmed chunk
+      setProgress(task, task.offset ? task.offset / task.file.size : 0);
+      task.timer = setTimeout(function () {
+        task.timer = undefined;
+        task.attempts++;
+        send(task);
+      }, FileUploader.RETRY_DELAY * task.attempts);
+    };
+
+    /**
+     * Start uploading queued files until the max number of simultaneous
+     * uploads is reached.
      *
+     * @private
+     */
+    var next = function () {
+      while (queue.length && active.length < FileUploader.CONCURRENCY) {
+        var task = queue.shift();
+        active.push(task);
+        send(task);
+      }
+    };
+
+    /**
+     * Prepare files for the upload queue.
+     *
+     * @private
      * @param {File[]} files
+     * @return {Array} Objects with file and filename
+     */
+    var createBatch = function (files) {
+      return files.map(function (file) {
+        return {
+          file: file,
+          filename: file.name
+        };
+      });
+    };
+
+    /**
+     * Add files to the upload queue.
+     *
+     * @private
+     * @param {Array} files Objects with file and filename
+     */
+    var enqueue = function (files) {
+      var isNewBatch = !self.isUploading();
+
+      for (var i = 0; i < files.length; i++) {
+        queue.push({
+          index: progress.length,
+          file: files[i].file,
+          filename: files[i].filename,
+          attempts: 1
+        });
+        progress.push(0);
+      }
+
+      if (isNewBatch) {
+        self.trigger('upload');
+      }
+      next();
+    };
+
+    /**
+     * Triggers the actual upload of the file.
+     *
+     * @param {Blob|File} file
+     * @param {string} filename Required due to validation
+     */
+    self.upload = function (file, filename) {
+      enqueue([{
+        file: file,
+        filename: filename
+      }]);
+    };
+
+    /**
+     * Upload the list of file objects. Only the first file is uploaded
+     * unless the uploader accepts multiple files.
+     *
+     * @param {File[]|FileList} files
      */
     self.uploadFiles = function (files) {
-      self.upload(files[0], files[0].name);
+      var allowed = [];
+      var length = (options.multiple ? files.length : Math.min(files.length, 1));
+      for (var i = 0; i < length; i++) {
+        if (!self.isAllowedType(files[i])) {
+          // Report the error the same way as the ones found by the server
+          self.trigger('uploadComplete', {
+            error: H5PEditor.t('core', 'fileTypeNotAllowed', {':filename': files[i].name}),
+            data: null
+          });
+          continue;
+        }
+        allowed.push(files[i]);
+      }
+
+      if (!allowed.length) {
+        return;
+      }
+
+      var settings = (field.type === 'image' ? H5PEditor.ImageOptimizer.getSettings(field) : undefined);
+      if (settings === undefined) {
+        enqueue(createBatch(allowed));
+        return;
+      }
+
+      // Make large images smaller before uploading them
+      H5PEditor.ImageOptimizer.optimizeFiles(allowed, settings, function (optimized) {
+        enqueue(createBatch(optimized));
+      });
+    };
+
+    /**
+     * Check if the file is of a type the field accepts. Files of unknown
+     * type are left for the server to validate. Browsers name some types
+     * differently, e.g. audio/wav, so files with the extensions the server
+     * accepts for the field type are allowed as well.
+     *
+     * @param {File} file
+     * @return {boolean}
+     */
+    self.isAllowedType = function (file) {
+      var mimes = determineAllowedMimeTypes();
+      if (!file.type || !mimes) {
+        return true;
+      }
+
+      mimes = mimes.split(',');
+      for (var i = 0; i < mimes.length; i++) {
+        var mime = mimes[i].trim();
+        if (mime === file.type || (/\/\*$/.test(mime) && file.type.indexOf(mime.slice(0, -1)) === 0)) {
+          return true;
+        }
+      }
+
+      // The server only checks the extension, unless the semantics list the types
+      var extensions = FileUploader.EXTENSIONS[field.type];
+      var extension = file.name.split('.').pop().toLowerCase();
+      return (!field.mimes && extensions !== undefined && extensions.indexOf(extension) !== -1);
+    };
+
+    /**
+     * Upload files dropped onto the given elements.
+     *
+     * @param {jQuery} $targets
+     * @param {function} [upload] Receives the dropped files instead
+     */
+    self.addDropZone = function ($targets, upload) {
+      $targets
+        .on('dragenter dragover', function (event) {
+          var dataTransfer = event.originalEvent.dataTransfer;
+          if (!hasFiles(dataTransfer)) {
+            return; // Not something we can upload
+          }
+
+          event.preventDefault();
+          dataTransfer.dropEffect = 'copy';
+          $(this).addClass('h5peditor-drop-over');
+        })
+        .on('dragleave', function (event) {
+          if (!$.contains(this, event.relatedTarget)) {
+            $(this).removeClass('h5peditor-drop-over');
+          }
+        })
+        .on('drop', function (event) {
+          var dataTransfer = event.originalEvent.dataTransfer;
+          $(this).removeClass('h5peditor-drop-over');
+          if (!hasFiles(dataTransfer)) {
+            return;
+          }
+
+          event.preventDefault();
+          event.stopPropagation();
+          (upload || self.uploadFiles)(dataTransfer.files);
+        });
+    };
+
+    /**
+     * Upload files pasted while focus is inside the given elements.
+     * Pasting text works as usual.
+     *
+     * @param {jQuery} $targets
+     * @param {function} [upload] Receives the pasted files instead
+     */
+    self.addPasteTarget = function ($targets, upload) {
+      $targets.on('paste', function (event) {
+        if ($(event.target).is('input, textarea, [contenteditable="true"]')) {
+          return; // Leave the text fields alone
+        }
+
+        var files = getFiles(event.originalEvent.clipboardData);
+        if (!files.length) {
+          return;
+        }
+
+        event.preventDefault();
+        (upload || self.uploadFiles)(files);
+      });
+    };
+
+    /**
+     * Check if there are files waiting to be uploaded or being uploaded.
+     *
+     * @return {boolean}
+     */
+    self.isUploading = function () {
+      return queue.length > 0 || active.length > 0;
+    };
+
+    /**
+     * Cancel all queued uploads and the uploads in progress.
+     */
+    self.abortUploads = function () {
+      var tasks = active.concat(queue);
+      active = [];
+      queue = [];
+      progress = [];
+
+      for (var i = 0; i < tasks.length; i++) {
+        tasks[i].aborted = true;
+        clearTimeout(tasks[i].timer);
+        if (tasks[i].request !== undefined) {
+          // Prevent the aborted request from being handled
+          tasks[i].request.onload = tasks[i].request.onerror = null;
+          tasks[i].request.abort();
+        }
+
+        self.trigger('uploadComplete', {
+          error: H5PEditor.t('core', 'uploadCanceled'),
+          data: null,
+          aborted: true,
+          index: tasks[i].index,
+          file: tasks[i].file
+        });
+      }
+
+      if (tasks.length) {
+        self.trigger('uploadBatchComplete');
+      }
     };
 
     /**
      * Open the file selector and trigger upload upon selecting file.
+     *
+     * @param {function} [select] Receives the selected files instead
      */
-    self.openFileSelector = function () {
+    self.openFileSelector = function (select) {
       // Create a file selector
       const input = document.createElement('input');
       input.type = 'file';
       input.setAttribute('accept', determineAllowedMimeTypes());
+      input.multiple = !!options.multiple;
       input.addEventListener('change', function () {
         // When files are selected, upload them
-        self.uploadFiles(this.files);
+        (select || self.uploadFiles)(this.files);
       });
 
       // Open file selector
       input.click();
     };
 
+    /**
+     * Check if files are being dragged.
+     *
+     * @private
+     * @param {DataTransfer} dataTransfer
+     * @return {boolean}
+     */
+    const hasFiles = function (dataTransfer) {
+      return !!dataTransfer && Array.prototype.indexOf.call(dataTransfer.types, 'Files') !== -1;
+    };
+
+    /**
+     * Get the files from the clipboard, e.g. a screenshot.
+     *
+     * @private
+     * @param {DataTransfer} clipboardData
+     * @return {File[]}
+     */
+    const getFiles = function (clipboardData) {
+      const files = [];
+      if (!clipboardData) {
+        return files;
+      }
+
+      if (clipboardData.files && clipboardData.files.length) {
+        return Array.prototype.slice.call(clipboardData.files);
+      }
+
+      const items = clipboardData.items || [];
+      for (let i = 0; i < items.length; i++) {
+        const file = (items[i].kind === 'file' ? items[i].getAsFile() : null);
+        if (file) {
+          files.push(file);
+        }
+      }
+      return files;
+    };
+
     /**
      * Determine allowed file mimes. Used to make it easier to find and
      * select the correct file.
@@ -124,5 +624,61 @@ H5PEditor.FileUploader = (function ($, EventDispatcher) {
   FileUploader.prototype = Object.create(EventDispatcher.prototype);
   FileUploader.prototype.constructor = FileUploader;
 
+  /**
+   * Max number of files uploaded at the same time.
+   *
+   * @constant {number}
+   */
+  FileUploader.CONCURRENCY = 3;
+
+  /**
+   * Max number of times a file is sent before giving up.
+   *
+   * @constant {number}
+   */
+  FileUploader.MAX_ATTEMPTS = 3;
+
+  /**
+   * Number of milliseconds to wait before sending a file again. Increases
+   * with each attempt.
+   *
+   * @constant {number}
+   */
+  FileUploader.RETRY_DELAY = 1000;
+
+  /**
+   * HTTP statuses for failures that might go away by themselves.
+   * 0 means that the connection was lost.
+   *
+   * @constant {Array}
+   */
+  FileUploader.TRANSIENT_STATUSES = [0, 408, 429, 502, 503, 504];
+
+  /**
+   * File extensions accepted by the server for each field type.
+   *
+   * @constant {Object}
+   */
+  FileUploader.EXTENSIONS = {
+    image: ['png', 'jpg', 'jpeg', 'gif'],
+    audio: ['mp3', 'm4a', 'wav', 'ogg'],
+    video: ['mp4', 'webm', 'ogv']
+  };
+
+  /**
+   * Prefix for the storage keys used to resume chunked uploads.
+   *
+   * @constant {string}
+   */
+  FileUploader.CHUNKS_KEY_PREFIX = 'h5peditor-upload-';
+
+  /**
+   * Number of milliseconds an interrupted chunked upload can be resumed
+   * (one day). The server removes the chunks after the same amount of time.
+   *
+   * @constant {number}
+   */
+  FileUploader.CHUNKS_MAX_AGE = 86400000;
+
   return FileUploader;
 })(H5P.jQuery, H5P.EventDispatcher);
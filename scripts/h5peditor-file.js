@@ -119,6 +119,9 @@ ns.File.prototype.appendTo = function ($wrapper) {
   this.$errors = $container.find('.h5p-errors');
   this.addFile();
 
+  // Files can also be dropped onto the thumbnail
+  self.addDropZone(this.$file);
+
   var $dialog = $container.find('.h5p-editor-dialog');
   $container.find('.h5p-copyright-button').add($dialog.find('.h5p-close')).click(function () {
     $dialog.toggleClass('h5p-open');
@@ -271,7 +274,8 @@ ns.File.prototype.validate = function () {
  * Remove this item.
  */
 ns.File.prototype.remove = function () {
-  // TODO: Check what happens when removed during upload.
+  // Make sure the upload doesn't change the params of a removed item
+  this.abortUploads();
   this.$file.parent().remove();
 };
 
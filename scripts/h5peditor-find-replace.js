@@ -0,0 +1,513 @@
+/* global ns */
+H5PEditor.FindReplace = (function ($) {
+
+  /**
+   * Number of characters displayed on each side of a match.
+   *
+   * @constant {number}
+   */
+  var CONTEXT_LENGTH = 30;
+
+  /**
+   * Check if the character is part of a word. Letters are recognized by
+   * having different upper and lower case forms, which works for most
+   * alphabets.
+   *
+   * @private
+   * @param {string} character Empty at the start and end of the text
+   * @return {boolean}
+   */
+  var isWordCharacter = function (character) {
+    return character.toLowerCase() !== character.toUpperCase() || /[0-9_]/.test(character);
+  };
+
+  /**
+   * Find where the query occurs in the text.
+   *
+   * @private
+   * @param {string} text
+   * @param {string} query
+   * @param {Object} options
+   * @param {boolean} options.matchCase
+   * @param {boolean} options.wholeWords
+   * @return {Array} Start and length of each occurrence
+   */
+  var findOccurrences = function (text, query, options) {
+    var pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), options.matchCase ? 'g' : 'gi');
+    var found = [];
+
+    var match;
+    while ((match = pattern.exec(text)) !== null) {
+      var end = match.index + match[0].length;
+      if (options.wholeWords && (isWordCharacter(text.charAt(match.index - 1)) || isWordCharacter(text.charAt(end)))) {
+        continue;
+      }
+
+      found.push({
+        start: match.index,
+        length: match[0].length
+      });
+    }
+
+    return found;
+  };
+
+  /**
+   * Parse the value of an html field. A separate document is used to avoid
+   * loading images or running scripts.
+   *
+   * @private
+   * @param {string} html
+   * @return {Element} Contains the html
+   */
+  var parseHtml = function (html) {
+    return new DOMParser().parseFromString(html, 'text/html').body;
+  };
+
+  /**
+   * Get all the text nodes inside the element, in document order.
+   *
+   * @private
+   * @param {Element} element
+   * @return {Array}
+   */
+  var getTextNodes = function (element) {
+    var nodes = [];
+    var walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    return nodes;
+  };
+
+  /**
+   * Get the pieces of text in a field that can be searched. Html fields
+   * have one piece for each text node, plain text fields just one.
+   *
+   * @private
+   * @param {Object} field Field instance
+   * @return {Array} Texts
+   */
+  var getTexts = function (field) {
+    if (field instanceof ns.Html) {
+      return (field.value ? getTextNodes(parseHtml(field.value)).map(function (node) {
+        return node.nodeValue;
+      }) : []);
+    }
+    return [field.$input.val()];
+  };
+
+  /**
+   * Change the text of a field. Only the text nodes of html fields are
+   * changed, the markup is left as it is.
+   *
+   * @private
+   * @param {Object} field Field instance
+   * @param {function} change Receives the text and the index of the piece,
+   *   returns the new text
+   */
+  var changeTexts = function (field, change) {
+    if (field instanceof ns.Html) {
+      var body = parseHtml(field.value || '');
+      getTextNodes(body).forEach(function (node, index) {
+        node.nodeValue = change(node.nodeValue, index);
+      });
+      field.forceValue(body.innerHTML);
+    }
+    else {
+      field.forceValue(change(field.$input.val(), 0));
+    }
+  };
+
+  /**
+   * Check if the text of the field can be searched.
+   *
+   * @private
+   * @param {Object} field Field instance
+   * @return {boolean}
+   */
+  var isSearchable = function (field) {
+    return (field instanceof ns.Text || field instanceof ns.Textarea || field instanceof ns.Html) &&
+      field.$input !== undefined;
+  };
+
+  /**
+   * Get the label used for the field in breadcrumbs.
+   *
+   * @private
+   * @param {Object} field Field instance
+   * @return {string|undefined}
+   */
+  var getLabel = function (field) {
+    if (field.field === undefined) {
+      return;
+    }
+    if (field.field.label !== undefined && field.field.label !== 0 && field.field.label !== '') {
+      return $('<div>' + field.field.label + '</div>').text();
+    }
+    return field.field.name;
+  };
+
+  /**
+   * Run the task for each child of the given field, if it has any.
+   *
+   * @private
+   * @param {Object} parent
+   * @param {function} task
+   */
+  var forEachChild = function (parent, task) {
+    if (parent.forEachChild instanceof Function) {
+      parent.forEachChild(task);
+    }
+    else if (parent.children !== undefined) {
+      parent.children.forEach(task);
+    }
+  };
+
+  /**
+   * Lets the author find text in all the text fields of the form and
+   * replace it.
+   *
+   * @class H5PEditor.FindReplace
+   * @param {H5PEditor.Form} form
+   */
+  function FindReplace(form) {
+    var self = this;
+
+    // Matches found by the last search
+    var hits = [];
+
+    var $open = ns.createButton('h5peditor-find-replace-open', ns.t('core', 'findReplace'), function () {
+      self.open();
+    }, true);
+
+    var $wrapper = $('<div/>', {
+      'class': 'h5peditor-find-replace',
+      role: 'region',
+      'aria-label': ns.t('core', 'findReplace')
+    }).hide();
+
+    var $fields = $('<div/>', {
+      'class': 'h5peditor-find-replace-fields',
+      appendTo: $wrapper
+    });
+
+    /**
+     * Create a labeled input.
+     *
+     * @private
+     * @param {string} type
+     * @param {string} label
+     * @return {jQuery} The input
+     */
+    var createInput = function (type, label) {
+      var $label = $('<label/>', {
+        'class': 'h5peditor-find-replace-' + type,
+        appendTo: $fields
+      });
+
+      var $input = $('<input/>', {
+        type: type,
+        'class': (type === 'text' ? 'h5peditor-text' : '')
+      });
+
+      if (type === 'text') {
+        $label.append($('<span/>', {text: label}), $input);
+      }
+      else {
+        $label.append($input, $('<span/>', {text: label}));
+      }
+
+      return $input;
+    };
+
+    var $find = createInput('text', ns.t('core', 'findText')).on('keydown', function (event) {
+      if (event.which === 13) { // Enter
+        search();
+        event.preventDefault();
+      }
+    });
+    var $replace = createInput('text', ns.t('core', 'replaceWith'));
+    var $matchCase = createInput('checkbox', ns.t('core', 'matchCase'));
+    var $wholeWords = createInput('checkbox', ns.t('core', 'wholeWordsOnly'));
+
+    var $buttons = $('<div/>', {
+      'class': 'h5peditor-find-replace-buttons',
+      appendTo: $wrapper
+    });
+
+    ns.createButton('h5peditor-find-replace-find', ns.t('core', 'findButton'), function () {
+      search();
+    }, true).appendTo($buttons);
+
+    var $replaceButton = ns.createButton('h5peditor-find-replace-replace', ns.t('core', 'replaceSelected'), function () {
+      if (!this.classList.contains('disabled')) {
+        replace();
+      }
+    }, true).appendTo($buttons);
+
+    ns.createButton('h5peditor-find-replace-close', ns.t('core', 'close'), function () {
+      self.close();
+    }, true).appendTo($buttons);
+
+    var $status = $('<div/>', {
+      'class': 'h5peditor-find-replace-status',
+      'aria-live': 'polite',
+      appendTo: $wrapper
+    });
+
+    var $list = $('<ul/>', {
+      'class': 'h5peditor-find-replace-list',
+      appendTo: $wrapper
+    });
+
+    /**
+     * Get the options used when searching.
+     *
+     * @private
+     * @return {Object}
+     */
+    var getOptions = function () {
+      return {
+        matchCase: $matchCase.prop('checked'),
+        wholeWords: $wholeWords.prop('checked')
+      };
+    };
+
+    /**
+     * Look through the children of the given field for matches.
+     *
+     * @private
+     * @param {Object} parent
+     * @param {Array} labels Breadcrumb for the parent
+     * @param {Array} ancestors Field instances containing the children
+     * @param {string} query
+     * @param {Object} options
+     */
+    var collect = function (parent, labels, ancestors, query, options) {
+      var entity;
+      if (parent instanceof ns.List) {
+        entity = parent.getEntity();
+        entity = entity.charAt(0).toUpperCase() + entity.slice(1);
+      }
+
+      forEachChild(parent, function (child, index) {
+        // List items are labeled by their number instead of their field label
+        var label = (entity !== undefined ? ns.t('core', 'listItemNumber', {':entity': entity, ':number': index + 1}) : getLabel(child));
+        var breadcrumb = (label === undefined ? labels : labels.concat([label]));
+
+        if (child instanceof ns.Group && child.hasDeferredChildren()) {
+          // Search the params, and only create the fields if the text is found
+          var texts = [];
+          ns.collectText(child.field, child.params, texts);
+          if (!findOccurrences(texts.join('\n'), query, options).length) {
+            return;
+          }
+          child.createDeferredChildren();
+        }
+
+        if (isSearchable(child)) {
+          getTexts(child).forEach(function (text, piece) {
+            findOccurrences(text, query, options).forEach(function (occurrence) {
+              hits.push({
+                field: child,
+                ancestors: ancestors,
+                breadcrumb: breadcrumb,
+                piece: piece,
+                start: occurrence.start,
+                text: text.substr(occurrence.start, occurrence.length),
+                before: text.substr(0, occurrence.start).slice(-CONTEXT_LENGTH),
+                after: text.substr(occurrence.start + occurrence.length, CONTEXT_LENGTH)
+              });
+            });
+          });
+        }
+
+        collect(child, breadcrumb, ancestors.concat([child]), query, options);
+      });
+    };
+
+    /**
+     * Make the field visible and move focus to it.
+     *
+     * @private
+     * @param {Object} hit
+     */
+    var jumpTo = function (hit) {
+      // Expand collapsed groups and list items
+      for (var i = 0; i < hit.ancestors.length; i++) {
+        if (hit.ancestors[i] instanceof ns.Group && hit.ancestors[i].$group !== undefined &&
+            !hit.ancestors[i].$group.hasClass('expanded')) {
+          hit.ancestors[i].expand();
+        }
+      }
+
+      if (hit.field.$item[0].scrollIntoView) {
+        hit.field.$item[0].scrollIntoView();
+      }
+      hit.field.$input.focus();
+    };
+
+    /**
+     * Add a match to the list.
+     *
+     * @private
+     * @param {Object} hit
+     */
+    var addHit = function (hit) {
+      var $item = $('<li/>', {
+        'class': 'h5peditor-find-replace-item',
+        appendTo: $list
+      });
+
+      hit.$select = $('<input/>', {
+        type: 'checkbox',
+        'class': 'h5peditor-find-replace-select',
+        checked: true,
+        'aria-label': ns.t('core', 'replaceThisMatch'),
+        change: update,
+        appendTo: $item
+      });
+
+      $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-find-replace-link',
+        text: hit.breadcrumb.join(' › '),
+        click: function () {
+          jumpTo(hit);
+        },
+        appendTo: $item
+      });
+
+      $('<div/>', {
+        'class': 'h5peditor-find-replace-context',
+        appendTo: $item
+      }).append(
+        document.createTextNode((hit.before.length === CONTEXT_LENGTH ? '…' : '') + hit.before),
+        $('<mark/>', {text: hit.text}),
+        document.createTextNode(hit.after + (hit.after.length === CONTEXT_LENGTH ? '…' : ''))
+      );
+    };
+
+    /**
+     * Only allow replacing when something is selected.
+     *
+     * @private
+     */
+    var update = function () {
+      var selected = $list.find('.h5peditor-find-replace-select:checked').length;
+      $replaceButton
+        .toggleClass('disabled', !selected)
+        .attr('aria-disabled', selected ? 'false' : 'true');
+    };
+
+    /**
+     * Find all the matches in the form and list them.
+     *
+     * @private
+     */
+    var search = function () {
+      // Make sure the text being edited is stored
+      ns.Html.removeWysiwyg();
+
+      hits = [];
+      $list.html('');
+
+      var query = $find.val();
+      if (query !== '') {
+        var options = getOptions();
+        if (form.metadataForm !== undefined) {
+          collect(form.metadataForm, [], [], query, options);
+        }
+        collect(form, [], [], query, options);
+      }
+
+      hits.forEach(addHit);
+      $status.text(query === '' ? '' : hits.length ?
+        ns.t('core', 'findMatches', {':number': hits.length}) :
+        ns.t('core', 'findNoMatches'));
+      update();
+    };
+
+    /**
+     * Replace the selected matches. Matches in fields that have changed
+     * since the search are skipped.
+     *
+     * @private
+     */
+    var replace = function () {
+      // Make sure the text being edited is stored
+      ns.Html.removeWysiwyg();
+
+      var replacement = $replace.val();
+      var replaced = 0;
+
+      // Group the selected matches by field
+      var fields = [];
+      var selected = [];
+      hits.forEach(function (hit) {
+        if (!hit.$select.prop('checked')) {
+          return;
+        }
+        var index = fields.indexOf(hit.field);
+        if (index === -1) {
+          index = fields.push(hit.field) - 1;
+          selected[index] = [];
+        }
+        selected[index].push(hit);
+      });
+
+      fields.forEach(function (field, index) {
+        changeTexts(field, function (text, piece) {
+          // Start from the end to keep the position of the other matches
+          var pieceHits = selected[index].filter(function (hit) {
+            return hit.piece === piece;
+          });
+          for (var i = pieceHits.length - 1; i >= 0; i--) {
+            var hit = pieceHits[i];
+            if (text.substr(hit.start, hit.text.length) === hit.text) {
+              text = text.substr(0, hit.start) + replacement + text.substr(hit.start + hit.text.length);
+              replaced++;
+            }
+          }
+          return text;
+        });
+      });
+
+      search();
+      $status.text(ns.t('core', 'replacedMatches', {':number': replaced}));
+    };
+
+    /**
+     * Display the find and replace panel.
+     */
+    self.open = function () {
+      $open.hide();
+      $wrapper.show();
+      $find.focus().select();
+    };
+
+    /**
+     * Hide the panel.
+     */
+    self.close = function () {
+      $wrapper.hide();
+      hits = [];
+      $list.html('');
+      $status.text('');
+      $open.show().focus();
+    };
+
+    /**
+     * @param {jQuery} $container
+     */
+    self.prependTo = function ($container) {
+      $wrapper.prependTo($container);
+      $open.prependTo($container);
+    };
+
+    update();
+  }
+
+  return FindReplace;
+})(H5P.jQuery);
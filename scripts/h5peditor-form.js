@@ -1,13 +1,22 @@
 /* global ns */
 /**
  * Construct a form from library semantics.
+ *
+ * @param {string} library
+ * @param {Array} startLanguages
+ * @param {string} [defaultLanguage]
+ * @param {H5PEditor.History} [history] Continue using an existing history
  */
-ns.Form = function (library, startLanguages, defaultLanguage) {
+ns.Form = function (library, startLanguages, defaultLanguage, history) {
   var self = this;
 
+  // Support for events
+  H5P.EventDispatcher.call(this);
+
   this.params = {};
   this.passReadies = false;
   this.commonFields = {};
+  this.history = history || new ns.History();
 
   this.$form = ns.$('' +
     '<div class="h5peditor-form">' +
@@ -306,6 +315,90 @@ ns.Form = function (library, startLanguages, defaultLanguage) {
 
   // Add initial langauges for content type
   self.addLanguages(library, startLanguages);
+
+  // Lets the author find and replace text in all the fields
+  this.findReplace = new ns.FindReplace(this);
+  this.findReplace.prependTo(this.$form);
+
+  // Lists the errors found when the whole form is validated
+  this.validationSummary = new ns.ValidationSummary(this);
+  this.validationSummary.prependTo(this.$form);
+
+  // Fields are validated when they change
+  this.$form.on('change', function () {
+    self.updateValidationState();
+    self.validationSummary.refresh();
+  });
+  this.on('change', function () {
+    self.updateValidationState();
+    self.validationSummary.refresh();
+  });
+};
+
+// Extends the event dispatcher
+ns.Form.prototype = Object.create(H5P.EventDispatcher.prototype);
+ns.Form.prototype.constructor = ns.Form;
+
+/**
+ * Check if any of the fields are displaying errors, and let everyone know
+ * if this has changed since the last check.
+ *
+ * @alias H5PEditor.Form#updateValidationState
+ */
+ns.Form.prototype.updateValidationState = function () {
+  var valid = !this.$form.find('.h5p-errors').children().length;
+  if (this.valid !== undefined && valid !== this.valid) {
+    this.trigger('validationStateChanged', {
+      valid: valid
+    });
+  }
+  this.valid = valid;
+};
+
+/**
+ * Validate all the fields in the form and list the errors found.
+ *
+ * @alias H5PEditor.Form#validate
+ * @returns {boolean}
+ */
+ns.Form.prototype.validate = function () {
+  var valid = true;
+  var i;
+
+  if (this.metadataForm.children !== undefined) {
+    for (i = 0; i < this.metadataForm.children.length; i++) {
+      if (this.metadataForm.children[i].validate() === false) {
+        valid = false;
+      }
+    }
+  }
+
+  if (this.children !== undefined) {
+    for (i = 0; i < this.children.length; i++) {
+      if (this.children[i].validate() === false) {
+        valid = false;
+      }
+    }
+  }
+
+  // Some widgets only display their errors
+  if (this.validationSummary.update()) {
+    valid = false;
+    this.validationSummary.focus();
+  }
+  this.updateValidationState();
+
+  return valid;
+};
+
+/**
+ * Get the errors found the last time the form was validated.
+ *
+ * @alias H5PEditor.Form#getErrors
+ * @returns {Array} Errors, each with a JSON pointer path, label and message
+ */
+ns.Form.prototype.getErrors = function () {
+  return this.validationSummary.getErrors();
 };
 
 /**
@@ -364,18 +457,57 @@ ns.Form.prototype.replace = function ($element) {
       return false;
     }
   });
+
+  // Undo with Ctrl+Z and redo with Ctrl+Shift+Z
+  var self = this;
+  ns.$(document).on('keydown.h5peditor-history', function (event) {
+    if (event.keyCode !== 90 || !(event.ctrlKey || event.metaKey) || event.altKey) {
+      return;
+    }
+    if (ns.$(event.target).is('input,textarea,select,[contenteditable="true"]')) {
+      return; // Let the browser undo typing
+    }
+
+    if (event.shiftKey) {
+      self.redo();
+    }
+    else {
+      self.undo();
+    }
+    event.preventDefault();
+  });
 };
 
 /**
  * Remove the current form.
  */
 ns.Form.prototype.remove = function () {
+  this.history.detach();
+  ns.$(document).off('keydown.h5peditor-history');
   ns.removeChildren(this.metadataForm.children);
   ns.removeChildren(this.children);
   ns.renderableCommonFields = {}; // Reset all common fields
   this.$form.remove();
 };
 
+/**
+ * Revert the last change made to the form.
+ *
+ * @returns {boolean} False if there is nothing to undo
+ */
+ns.Form.prototype.undo = function () {
+  return this.history.undo();
+};
+
+/**
+ * Reapply the last change that was undone.
+ *
+ * @returns {boolean} False if there is nothing to redo
+ */
+ns.Form.prototype.redo = function () {
+  return this.history.redo();
+};
+
 /**
  * Wrapper for processing the semantics.
  *
@@ -411,6 +543,33 @@ ns.Form.prototype.processSemantics = function (semantics, defaultParams, metadat
 
   // Create real children
   ns.processSemanticsChunk(semantics, this.params, this.$form.children('.tree'), this);
+
+  // Changes are tracked from here on
+  this.history.attach(this);
+  this.updateValidationState();
+};
+
+/**
+ * Display the panel used to find and replace text in all the fields.
+ *
+ * @alias H5PEditor.Form#openFindReplace
+ */
+ns.Form.prototype.openFindReplace = function () {
+  this.findReplace.open();
+};
+
+/**
+ * Allows widgets to do stuff with the fields of the form.
+ *
+ * @alias H5PEditor.Form#forEachChild
+ * @param {Function} task
+ */
+ns.Form.prototype.forEachChild = function (task) {
+  if (this.children !== undefined) {
+    for (var i = 0; i < this.children.length; i++) {
+      task(this.children[i], i);
+    }
+  }
 };
 
 /**
@@ -0,0 +1,315 @@
+/* global ns CKEDITOR */
+H5PEditor.Formula = (function () {
+
+  /**
+   * Finds the formulas in a text, using the delimiters of H5P's MathDisplay.
+   *
+   * @constant {RegExp}
+   */
+  var FORMULA = /\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]|\$\$([\s\S]*?)\$\$/g;
+
+  /**
+   * Milliseconds to wait after the last key press before updating the
+   * preview.
+   *
+   * @constant {number}
+   */
+  var PREVIEW_DELAY = 300;
+
+  // MathJax, false if it couldn't be loaded, or callbacks waiting for it
+  var mathJax;
+
+  // Formulas being edited, for each CKEditor instance
+  var editing = {};
+
+  /**
+   * Find the formula at the given position in a text.
+   *
+   * @private
+   * @param {string} text
+   * @param {number} position
+   * @return {Object|undefined} With start, end, latex and display
+   */
+  var findFormula = function (text, position) {
+    var match;
+    FORMULA.lastIndex = 0;
+    while ((match = FORMULA.exec(text)) !== null) {
+      if (match.index > position) {
+        return;
+      }
+      if (match.index + match[0].length >= position) {
+        return {
+          start: match.index,
+          end: match.index + match[0].length,
+          latex: (match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3])),
+          display: (match[2] !== undefined || match[3] !== undefined)
+        };
+      }
+    }
+  };
+
+  /**
+   * Get the MathJax settings of H5P.MathDisplay on this site.
+   *
+   * @private
+   * @return {Object|undefined} With src and optionally config
+   */
+  var getMathJaxSettings = function () {
+    var config = (H5PIntegration.libraryConfig ? H5PIntegration.libraryConfig['H5P.MathDisplay'] : undefined);
+    if (config && config.renderer && config.renderer.mathjax && config.renderer.mathjax.src) {
+      return config.renderer.mathjax;
+    }
+  };
+
+  /**
+   * Check if MathJax has been loaded on the page.
+   *
+   * @private
+   * @return {boolean}
+   */
+  var isMathJaxLoaded = function () {
+    return (window.MathJax !== undefined && (window.MathJax.typesetPromise !== undefined || window.MathJax.Hub !== undefined));
+  };
+
+  /**
+   * Load MathJax the way H5P.MathDisplay is configured to on this site,
+   * unless it has already been loaded.
+   *
+   * @private
+   * @param {function} callback Receives MathJax, or nothing if it isn't
+   *   available
+   */
+  var loadMathJax = function (callback) {
+    if (mathJax instanceof Array) {
+      mathJax.push(callback);
+      return;
+    }
+    if (mathJax !== undefined) {
+      callback(mathJax || undefined);
+      return;
+    }
+    if (isMathJaxLoaded()) {
+      mathJax = window.MathJax;
+      callback(mathJax);
+      return;
+    }
+
+    var settings = getMathJaxSettings();
+    if (settings === undefined) {
+      mathJax = false; // There is nothing to preview formulas with
+      callback();
+      return;
+    }
+
+    var done = function (loaded) {
+      var callbacks = mathJax;
+      mathJax = loaded || false;
+      callbacks.forEach(function (waiting) {
+        waiting(loaded);
+      });
+    };
+
+    mathJax = [callback];
+    if (window.MathJax === undefined && settings.config !== undefined) {
+      window.MathJax = settings.config;
+    }
+
+    var script = document.createElement('script');
+    script.onload = function () {
+      if (!isMathJaxLoaded()) {
+        done();
+      }
+      else if (window.MathJax.startup && window.MathJax.startup.promise) {
+        window.MathJax.startup.promise.then(function () {
+          done(window.MathJax);
+        });
+      }
+      else {
+        done(window.MathJax);
+      }
+    };
+    script.onerror = function () {
+      done();
+    };
+    script.src = settings.src;
+    document.head.appendChild(script);
+  };
+
+  /**
+   * Display the given formula as it will look in the content.
+   *
+   * @private
+   * @param {Element} element
+   * @param {string} formula With delimiters
+   */
+  var preview = function (element, formula) {
+    element.textContent = formula;
+    loadMathJax(function (loaded) {
+      if (loaded === undefined) {
+        element.textContent = ns.t('core', 'formulaNoPreview');
+      }
+      else if (loaded.typesetPromise) {
+        loaded.typesetPromise([element]);
+      }
+      else if (loaded.Hub) {
+        loaded.Hub.Queue(['Typeset', loaded.Hub, element]);
+      }
+    });
+  };
+
+  /**
+   * Add the formula with its delimiters.
+   *
+   * @private
+   * @param {string} latex
+   * @param {boolean} display On its own line
+   * @return {string}
+   */
+  var wrap = function (latex, display) {
+    return (display ? '\\[' + latex + '\\]' : '\\(' + latex + '\\)');
+  };
+
+  /**
+   * Create the dialog used to write formulas.
+   *
+   * @private
+   * @param {Object} editor CKEditor instance
+   * @return {Object} Dialog definition
+   */
+  var createDialog = function (editor) {
+    var timer;
+
+    /**
+     * Update the preview with the formula in the dialog.
+     *
+     * @private
+     * @param {Object} dialog
+     */
+    var update = function (dialog) {
+      var latex = dialog.getValueOf('formula', 'latex').trim();
+      var element = dialog.getContentElement('formula', 'preview').getElement().$;
+      if (latex === '') {
+        element.textContent = '';
+        return;
+      }
+      preview(element, wrap(latex, dialog.getValueOf('formula', 'display')));
+    };
+
+    return {
+      title: ns.t('core', 'formula'),
+      minWidth: 400,
+      minHeight: 200,
+      contents: [{
+        id: 'formula',
+        elements: [{
+          type: 'textarea',
+          id: 'latex',
+          label: ns.t('core', 'formulaLatex'),
+          rows: 4
+        }, {
+          type: 'checkbox',
+          id: 'display',
+          label: ns.t('core', 'formulaDisplay'),
+          onChange: function () {
+            update(this.getDialog());
+          }
+        }, {
+          type: 'html',
+          id: 'preview',
+          html: '<div class="h5peditor-formula-preview" aria-live="polite"></div>'
+        }]
+      }],
+
+      onLoad: function () {
+        var dialog = this;
+        dialog.getContentElement('formula', 'latex').getInputElement().$.addEventListener('input', function () {
+          clearTimeout(timer);
+          timer = setTimeout(function () {
+            update(dialog);
+          }, PREVIEW_DELAY);
+        });
+      },
+
+      onShow: function () {
+        var formula = editing[editor.name];
+        delete editing[editor.name];
+        if (formula === undefined) {
+          // Selected text is turned into a formula
+          var selection = editor.getSelection();
+          formula = {
+            latex: (selection ? selection.getSelectedText() : ''),
+            display: false
+          };
+        }
+
+        this.setValueOf('formula', 'latex', formula.latex);
+        this.setValueOf('formula', 'display', formula.display);
+        update(this);
+      },
+
+      onOk: function () {
+        var latex = this.getValueOf('formula', 'latex').trim();
+        if (latex !== '') {
+          editor.insertText(wrap(latex, this.getValueOf('formula', 'display')));
+        }
+      }
+    };
+  };
+
+  return {
+
+    /**
+     * Name of the CKEditor plugin adding the formula button.
+     *
+     * @constant {string}
+     */
+    PLUGIN: 'h5pformula',
+
+    /**
+     * Add the formula plugin to CKEditor. The formulas are written in LaTeX
+     * and inserted with the delimiters used by H5P's MathDisplay. Existing
+     * formulas are edited by double-clicking them.
+     */
+    registerPlugin: function () {
+      if (CKEDITOR.plugins.get(H5PEditor.Formula.PLUGIN)) {
+        return;
+      }
+
+      CKEDITOR.plugins.add(H5PEditor.Formula.PLUGIN, {
+        requires: 'dialog',
+        init: function (editor) {
+          editor.addCommand(H5PEditor.Formula.PLUGIN, new CKEDITOR.dialogCommand(H5PEditor.Formula.PLUGIN));
+          editor.ui.addButton('H5PFormula', {
+            label: ns.t('core', 'insertFormula'),
+            command: H5PEditor.Formula.PLUGIN,
+            icon: ns.basePath + '/images/formula.svg'
+          });
+          CKEDITOR.dialog.add(H5PEditor.Formula.PLUGIN, createDialog);
+
+          editor.on('doubleclick', function (event) {
+            var selection = editor.getSelection().getNative();
+            var node = selection.anchorNode;
+            if (!node || node.nodeType !== 3) {
+              return;
+            }
+
+            var formula = findFormula(node.nodeValue, selection.anchorOffset);
+            if (formula === undefined) {
+              return;
+            }
+
+            // Replace the whole formula when the dialog is closed
+            var text = new CKEDITOR.dom.text(node);
+            var range = editor.createRange();
+            range.setStart(text, formula.start);
+            range.setEnd(text, formula.end);
+            range.select();
+
+            editing[editor.name] = formula;
+            event.data.dialog = H5PEditor.Formula.PLUGIN;
+          });
+        }
+      });
+    }
+  };
+})();
@@ -107,13 +107,6 @@ ns.Group.prototype.appendTo = function ($wrapper) {
 
   if (this.hasSingleChild() && !this.isSubContent()) {
     this.$content.addClass('h5peditor-single');
-    this.children = [];
-    var field = this.field.fields[0];
-    var widget = field.widget === undefined ? field.type : field.widget;
-    this.children[0] = new ns.widgets[widget](this, field, this.params, function (field, value) {
-      that.setValue(that.field, value);
-    });
-    this.children[0].appendTo(this.$content);
   }
   else {
     if (this.params === undefined) {
@@ -122,12 +115,15 @@ ns.Group.prototype.appendTo = function ($wrapper) {
     }
 
     this.params = this.initSubContent(this.params);
+  }
 
-    ns.processSemanticsChunk(this.field.fields, this.params, this.$content, this);
+  if (this.isDeferred && this.field.expanded !== true) {
+    // Only the title is displayed until the group is expanded
+    this.setSummary(this.findParamsSummary());
+    return;
   }
 
-  // Set summary
-  this.findSummary();
+  this.createChildren();
 
   // Check if group should be expanded.
   // Default is to be collapsed unless explicity defined in semantics by optional attribute expanded
@@ -136,6 +132,79 @@ ns.Group.prototype.appendTo = function ($wrapper) {
   }
 };
 
+/**
+ * Create the fields of the group.
+ *
+ * @private
+ */
+ns.Group.prototype.createChildren = function () {
+  var that = this;
+
+  if (this.hasSingleChild() && !this.isSubContent()) {
+    this.children = [];
+    var field = this.field.fields[0];
+    var widget = field.widget === undefined ? field.type : field.widget;
+    this.children[0] = new ns.widgets[widget](this, field, this.params, function (field, value) {
+      that.setValue(that.field, value);
+    });
+    this.children[0].appendTo(this.$content);
+  }
+  else {
+    ns.processSemanticsChunk(this.field.fields, this.params, this.$content, this);
+  }
+
+  // Set summary
+  this.findSummary();
+};
+
+/**
+ * Wait with creating the fields until the group is expanded, making forms
+ * with many groups load faster. Must be used before the group is appended.
+ *
+ * Until then the params are searched and validated as they are, and the
+ * fields are only created if something is found in them, e.g. an error.
+ */
+ns.Group.prototype.deferChildren = function () {
+  this.isDeferred = true;
+};
+
+/**
+ * Check if the fields of the group are waiting to be created.
+ *
+ * @returns {boolean}
+ */
+ns.Group.prototype.hasDeferredChildren = function () {
+  return this.isDeferred === true && this.children === undefined && this.$content !== undefined;
+};
+
+/**
+ * Create the fields of a deferred group, unless they already exist.
+ */
+ns.Group.prototype.createDeferredChildren = function () {
+  if (!this.hasDeferredChildren()) {
+    return;
+  }
+
+  // Building the fields from existing params is not a change by itself
+  var history = ns.findHistory(this.parent);
+  if (history !== undefined) {
+    history.pause();
+  }
+
+  // The form is already built, so the fields are told they're ready at once
+  this.readies = [];
+  this.createChildren();
+  var readies = this.readies;
+  delete this.readies;
+  for (var i = 0; i < readies.length; i++) {
+    readies[i]();
+  }
+
+  if (history !== undefined) {
+    history.resume();
+  }
+};
+
 /**
  * Return whether this group is Sub Content
  *
@@ -194,6 +263,7 @@ ns.Group.prototype.toggle = function () {
  * Expand the given group.
  */
 ns.Group.prototype.expand = function () {
+  this.createDeferredChildren();
   this.$group.addClass('expanded');
   this.trigger('expanded');
 };
@@ -283,6 +353,34 @@ ns.Group.prototype.findSummary = function () {
   this.setSummary(summary);
 };
 
+/**
+ * Find the summary of a deferred group using its params, the same way as
+ * findSummary does using its fields.
+ *
+ * @private
+ * @returns {string|undefined}
+ */
+ns.Group.prototype.findParamsSummary = function () {
+  for (var i = 0; i < this.field.fields.length; i++) {
+    var field = this.field.fields[i];
+    var params = (this.hasSingleChild() && !this.isSubContent()) ? this.params : this.params[field.name];
+    var widget = ns.getWidgetName(field);
+
+    if (widget === 'text' || widget === 'html') {
+      if (params !== undefined && params !== '') {
+        return params.replace(/(<([^>]+)>)/ig, "");
+      }
+      return;
+    }
+    else if (widget === 'library') {
+      if (params !== undefined && params.metadata && params.metadata.title) {
+        return params.metadata.title;
+      }
+      return this.field.label;
+    }
+  }
+};
+
 /**
  * Set the given group summary.
  *
@@ -301,6 +399,7 @@ ns.Group.prototype.setSummary = function (summary) {
 
   // Make it possible for parent to monitor summary changes
   this.trigger('summary', summaryText);
+  this.summary = summaryText;
 
   if (summaryText !== undefined) {
     summaryText = (summaryText.length > 48 ? summaryText.substr(0, 45) + '...' : summaryText);
@@ -312,12 +411,31 @@ ns.Group.prototype.setSummary = function (summary) {
   this.$title.text(summaryText);
 };
 
+/**
+ * Get the whole summary displayed in the group header.
+ *
+ * @returns {string|undefined}
+ */
+ns.Group.prototype.getSummary = function () {
+  return this.summary;
+};
+
 /**
  * Validate all children.
  */
 ns.Group.prototype.validate = function () {
   var valid = true;
 
+  if (this.hasDeferredChildren()) {
+    // Only create the fields when there are errors to display in them
+    var params = {};
+    params[this.field.name] = this.params;
+    if (!ns.validateParams([this.field], params).length) {
+      return true;
+    }
+    this.createDeferredChildren();
+  }
+
   if (this.children !== undefined) {
     for (var i = 0; i < this.children.length; i++) {
       if (this.children[i].validate() === false) {
@@ -331,11 +449,15 @@ ns.Group.prototype.validate = function () {
 
 /**
  * Allows ancestors and widgets to do stuff with our children.
+ * Deferred fields that haven't been created yet are left out.
  *
  * @public
  * @param {Function} task
  */
 ns.Group.prototype.forEachChild = function (task) {
+  if (this.children === undefined) {
+    return;
+  }
   for (var i = 0; i < this.children.length; i++) {
     task(this.children[i], i);
   }
@@ -348,7 +470,12 @@ ns.Group.prototype.forEachChild = function (task) {
  * @returns {undefined}
  */
 ns.Group.prototype.ready = function (ready) {
-  this.parent.ready(ready);
+  if (this.readies !== undefined) {
+    this.readies.push(ready); // Fields created after the form was built
+  }
+  else {
+    this.parent.ready(ready);
+  }
 };
 
 /**
@@ -375,6 +502,21 @@ ns.Group.prototype.getFields = function () {
  * @param {Object} value
  */
 ns.Group.prototype.forceValue = function (value) {
+  if (this.hasDeferredChildren()) {
+    // Change the params the fields will be created from
+    if (this.hasSingleChild() && !this.isSubContent()) {
+      this.params = value[this.field.fields[0].name];
+    }
+    else {
+      for (let i = 0; i < this.field.fields.length; i++) {
+        this.params[this.field.fields[i].name] = value[this.field.fields[i].name];
+      }
+    }
+    this.setValue(this.field, this.params);
+    this.setSummary(this.findParamsSummary());
+    return;
+  }
+
   for (let i = 0; i < this.children.length; i++) {
     this.children[i].forceValue(value[this.children[i].field.name]);
   }
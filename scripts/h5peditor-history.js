@@ -0,0 +1,227 @@
+H5PEditor.History = (function (EventDispatcher) {
+
+  /**
+   * Keeps track of the changes made to a form's parameters, making it possible
+   * to undo and redo them.
+   *
+   * Every state is stored as a serialized copy of the form's params and
+   * metadata. This way structural changes like adding, removing or moving
+   * list items and changing libraries are restored the same way as changes
+   * to a single field.
+   *
+   * @class H5PEditor.History
+   * @extends H5P.EventDispatcher
+   * @param {number} [limit] Max number of states that can be undone
+   */
+  function History(limit) {
+    var self = this;
+
+    // Initialize event inheritance
+    EventDispatcher.call(self);
+
+    limit = (limit === undefined ? History.LIMIT : limit);
+
+    var undoStack = [];
+    var redoStack = [];
+
+    // The form being tracked, its last known state and pending commits
+    var form, current, timer;
+
+    // Number of tasks that currently prevents changes from being recorded
+    var paused = 0;
+
+    /**
+     * Create a serialized copy of the form's current state.
+     *
+     * @private
+     * @return {string}
+     */
+    var createSnapshot = function () {
+      return JSON.stringify({
+        params: form.params,
+        metadata: form.metadata
+      });
+    };
+
+    /**
+     * Store the previous state if the form has changed since the last commit.
+     *
+     * @private
+     */
+    var commit = function () {
+      timer = undefined;
+      if (form === undefined) {
+        return; // Nothing to track
+      }
+
+      var snapshot = createSnapshot();
+      if (snapshot === current) {
+        return; // No changes
+      }
+
+      undoStack.push(current);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack = []; // A new change makes the old future obsolete
+      current = snapshot;
+
+      self.trigger('change');
+    };
+
+    /**
+     * Commit any pending changes straight away.
+     *
+     * @private
+     */
+    var flush = function () {
+      if (timer !== undefined) {
+        clearTimeout(timer);
+        commit();
+      }
+    };
+
+    /**
+     * Let the form be rebuilt using the given state.
+     *
+     * @private
+     * @param {string} snapshot
+     */
+    var restore = function (snapshot) {
+      current = snapshot;
+
+      // Stop tracking until the new form is attached
+      form = undefined;
+
+      self.trigger('restore', JSON.parse(snapshot));
+      self.trigger('change');
+    };
+
+    /**
+     * Start tracking the given form. Its current state will be used as the
+     * starting point for new changes.
+     *
+     * @param {H5PEditor.Form} newForm
+     */
+    self.attach = function (newForm) {
+      form = newForm;
+      current = createSnapshot();
+    };
+
+    /**
+     * Stop tracking the current form.
+     */
+    self.detach = function () {
+      flush();
+      form = undefined;
+    };
+
+    /**
+     * Record that the form has changed. Changes made in rapid succession,
+     * e.g. while dragging list items around, are stored as one.
+     */
+    self.record = function () {
+      if (form === undefined || paused) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(commit, History.DELAY);
+    };
+
+    /**
+     * Stop recording changes, e.g. while a part of the form is built using
+     * existing parameters.
+     */
+    self.pause = function () {
+      flush();
+      paused++;
+    };
+
+    /**
+     * Resume recording changes. Anything that changed while paused will be
+     * part of the starting point for new changes.
+     */
+    self.resume = function () {
+      paused--;
+      if (!paused && form !== undefined) {
+        current = createSnapshot();
+      }
+    };
+
+    /**
+     * Check if changes to the form are currently being recorded.
+     *
+     * @return {boolean}
+     */
+    self.isRecording = function () {
+      return form !== undefined && !paused;
+    };
+
+    /**
+     * Revert the form to the state before the last change.
+     *
+     * @return {boolean} False if there is nothing to undo
+     */
+    self.undo = function () {
+      flush();
+      if (!undoStack.length) {
+        return false;
+      }
+
+      redoStack.push(current);
+      restore(undoStack.pop());
+      return true;
+    };
+
+    /**
+     * Reapply the last change that was undone.
+     *
+     * @return {boolean} False if there is nothing to redo
+     */
+    self.redo = function () {
+      flush();
+      if (!redoStack.length) {
+        return false;
+      }
+
+      undoStack.push(current);
+      restore(redoStack.pop());
+      return true;
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.canUndo = function () {
+      return undoStack.length > 0 || timer !== undefined;
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.canRedo = function () {
+      return redoStack.length > 0;
+    };
+  }
+
+  // Extends the event dispatcher
+  History.prototype = Object.create(EventDispatcher.prototype);
+  History.prototype.constructor = History;
+
+  /**
+   * Default max number of states kept.
+   *
+   * @constant {number}
+   */
+  History.LIMIT = 50;
+
+  /**
+   * Number of milliseconds to wait for more changes before storing them.
+   *
+   * @constant {number}
+   */
+  History.DELAY = 300;
+
+  return History;
+})(H5P.EventDispatcher);
@@ -0,0 +1,287 @@
+/* global ns CKEDITOR */
+H5PEditor.HtmlImage = (function () {
+
+  /**
+   * Used to find where the content's files are stored.
+   *
+   * @constant {string}
+   */
+  var MARKER = 'h5peditor-html-image';
+
+  // Images being edited, for each CKEditor instance
+  var editing = {};
+
+  /**
+   * Get the URLs that files with relative paths are loaded from, i.e. the
+   * folder for temporary files and the content's folder.
+   *
+   * @private
+   * @return {Array} Longest first
+   */
+  var getFolders = function () {
+    return [H5P.getPath(MARKER + '#tmp', ns.contentId), H5P.getPath(MARKER, ns.contentId)].map(function (url) {
+      return url.substr(0, url.indexOf(MARKER));
+    }).sort(function (a, b) {
+      return b.length - a.length;
+    });
+  };
+
+  /**
+   * Check if the path is relative to the content's folder.
+   *
+   * @private
+   * @param {string} src
+   * @return {boolean}
+   */
+  var isRelative = function (src) {
+    return !/^([a-z][a-z0-9+.-]*:|\/)/i.test(src);
+  };
+
+  /**
+   * Get the path of a file in one of the given folders.
+   *
+   * @private
+   * @param {string} src
+   * @param {Array} folders
+   * @return {string} Unchanged if the file is somewhere else
+   */
+  var getRelativePath = function (src, folders) {
+    for (var i = 0; i < folders.length; i++) {
+      if (src.indexOf(folders[i]) === 0) {
+        return src.substr(folders[i].length); // Temporary files keep #tmp
+      }
+    }
+    return src;
+  };
+
+  /**
+   * Change the source of every image in the HTML.
+   *
+   * @private
+   * @param {string} html
+   * @param {function} change Receives the source and returns the new one
+   * @return {string}
+   */
+  var changeSources = function (html, change) {
+    if (!/<img[\s/>]/i.test(html)) {
+      return html; // Skip parsing the texts without images
+    }
+
+    var doc = new DOMParser().parseFromString('<body></body>', 'text/html');
+    doc.body.innerHTML = html;
+    var images = doc.body.querySelectorAll('img[src]');
+    for (var i = 0; i < images.length; i++) {
+      images[i].setAttribute('src', change(images[i].getAttribute('src')));
+    }
+    return doc.body.innerHTML;
+  };
+
+  /**
+   * Create the dialog used to upload and describe images.
+   *
+   * @private
+   * @param {Object} editor CKEditor instance
+   * @return {Object} Dialog definition
+   */
+  var createDialog = function (editor) {
+    var uploader, path, image;
+
+    /**
+     * Display the state of the upload.
+     *
+     * @private
+     * @param {Object} dialog
+     * @param {string} [message]
+     * @param {boolean} [isError]
+     */
+    var setStatus = function (dialog, message, isError) {
+      var $status = ns.$(dialog.getContentElement('image', 'status').getElement().$);
+      $status.empty();
+      if (isError) {
+        $status.append(ns.createError(message));
+      }
+      else if (message) {
+        $status.text(message);
+      }
+      else if (path !== undefined) {
+        ns.$('<img/>', {
+          src: H5P.getPath(path, ns.contentId),
+          alt: ''
+        }).appendTo($status);
+      }
+    };
+
+    /**
+     * Create an uploader storing the images with the content's other files.
+     *
+     * @private
+     * @param {Object} dialog
+     * @return {H5PEditor.FileUploader}
+     */
+    var createUploader = function (dialog) {
+      var field = (ns.Html.current !== undefined ? ns.Html.current.field : {});
+      var fileUploader = new ns.FileUploader({
+        type: 'image',
+        name: field.name,
+        optimize: field.optimize
+      });
+
+      fileUploader.on('upload', function () {
+        setStatus(dialog, ns.t('core', 'uploading'));
+      });
+      fileUploader.on('uploadProgress', function (event) {
+        setStatus(dialog, ns.t('core', 'uploading') + ' ' + Math.round(event.data * 100) + ' %');
+      });
+      fileUploader.on('uploadComplete', function (event) {
+        if (event.data.error) {
+          setStatus(dialog, event.data.error, true);
+          return;
+        }
+        path = event.data.data.path;
+        setStatus(dialog);
+      });
+
+      return fileUploader;
+    };
+
+    return {
+      title: ns.t('core', 'image'),
+      minWidth: 400,
+      minHeight: 200,
+      contents: [{
+        id: 'image',
+        elements: [{
+          type: 'button',
+          id: 'choose',
+          label: ns.t('core', 'chooseImage'),
+          onClick: function () {
+            uploader.openFileSelector();
+          }
+        }, {
+          type: 'html',
+          id: 'status',
+          html: '<div class="h5peditor-html-image-status" aria-live="polite"></div>'
+        }, {
+          type: 'text',
+          id: 'alt',
+          label: ns.t('core', 'imageAltText'),
+          validate: CKEDITOR.dialog.validate.notEmpty(ns.t('core', 'imageAltTextRequired'))
+        }]
+      }],
+
+      onShow: function () {
+        image = editing[editor.name];
+        delete editing[editor.name];
+        uploader = createUploader(this);
+
+        path = (image === undefined ? undefined : getRelativePath(image.getAttribute('src'), getFolders()));
+        this.setValueOf('image', 'alt', (image === undefined ? '' : image.getAttribute('alt') || ''));
+        setStatus(this);
+      },
+
+      onHide: function () {
+        uploader.abortUploads();
+      },
+
+      onOk: function () {
+        if (path === undefined) {
+          alert(ns.t('core', 'imageRequired'));
+          return false;
+        }
+
+        var src = H5P.getPath(path, ns.contentId);
+        var element = image || editor.document.createElement('img');
+        element.setAttribute('src', src);
+        element.data('cke-saved-src', src); // Used by CKEditor when getting the data
+        element.setAttribute('alt', this.getValueOf('image', 'alt').trim());
+        if (image === undefined) {
+          editor.insertElement(element);
+        }
+      }
+    };
+  };
+
+  return {
+
+    /**
+     * Name of the CKEditor plugin adding the image button.
+     *
+     * @constant {string}
+     */
+    PLUGIN: 'h5pimage',
+
+    /**
+     * Check if images can be uploaded with the content's files. The paths
+     * of these images are relative to the content's folder, so the site
+     * must resolve them before the texts are displayed, see the README. It
+     * tells that it does by setting H5PIntegration.editor.htmlImages.
+     *
+     * @return {boolean}
+     */
+    isEnabled: function () {
+      return (window.H5PIntegration !== undefined && H5PIntegration.editor.htmlImages === true);
+    },
+
+    /**
+     * Add the image plugin to CKEditor. The images are uploaded like the
+     * files of other fields, and must be described by an alternative text.
+     * Existing images are edited by double-clicking them.
+     */
+    registerPlugin: function () {
+      if (CKEDITOR.plugins.get(H5PEditor.HtmlImage.PLUGIN)) {
+        return;
+      }
+
+      CKEDITOR.plugins.add(H5PEditor.HtmlImage.PLUGIN, {
+        requires: 'dialog',
+        init: function (editor) {
+          editor.addCommand(H5PEditor.HtmlImage.PLUGIN, new CKEDITOR.dialogCommand(H5PEditor.HtmlImage.PLUGIN));
+          editor.ui.addButton('H5PImage', {
+            label: ns.t('core', 'insertImage'),
+            command: H5PEditor.HtmlImage.PLUGIN,
+            icon: ns.basePath + '/images/image.svg'
+          });
+          CKEDITOR.dialog.add(H5PEditor.HtmlImage.PLUGIN, createDialog);
+
+          editor.on('doubleclick', function (event) {
+            var element = event.data.element;
+            if (element && element.is('img') && !element.isReadOnly()) {
+              editing[editor.name] = element;
+              event.data.dialog = H5PEditor.HtmlImage.PLUGIN;
+            }
+          });
+        }
+      });
+    },
+
+    /**
+     * Make the images in the HTML load from where the files are stored.
+     *
+     * @param {string} html With paths relative to the content's folder
+     * @return {string}
+     */
+    toAbsolute: function (html) {
+      return changeSources(html, function (src) {
+        return (isRelative(src) ? H5P.getPath(src, ns.contentId) : src);
+      });
+    },
+
+    /**
+     * Make the paths to the content's files relative, the way they are
+     * stored in the params.
+     *
+     * @param {string} html
+     * @return {string}
+     */
+    toRelative: function (html) {
+      if (!H5PEditor.HtmlImage.isEnabled()) {
+        return html; // The site needs the full URLs
+      }
+
+      var folders = getFolders();
+      return changeSources(html, function (src) {
+        return getRelativePath(src, folders);
+      });
+    }
+  };
+})();
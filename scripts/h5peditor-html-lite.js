@@ -0,0 +1,479 @@
+/* global ns CKEDITOR */
+H5PEditor.HtmlLite = (function ($, EventDispatcher) {
+
+  /**
+   * Devices with this many GB of memory or less get the lightweight editor,
+   * unless the site has chosen an editor.
+   *
+   * @constant {number}
+   */
+  var LOW_MEMORY = 2;
+
+  /**
+   * Milliseconds to wait after the last key press before telling that the
+   * text has changed, as getting the HTML is slow on these devices.
+   *
+   * @constant {number}
+   */
+  var CHANGE_DELAY = 500;
+
+  /**
+   * Toolbar items that can be used, by their CKEditor names.
+   *
+   * @constant {Object}
+   */
+  var ITEMS = {
+    Bold: {label: 'bold', text: 'B', command: 'bold'},
+    Italic: {label: 'italic', text: 'I', command: 'italic'},
+    NumberedList: {label: 'numberedList', text: '1.', command: 'insertOrderedList'},
+    BulletedList: {label: 'bulletedList', text: '•', command: 'insertUnorderedList'},
+    Link: {label: 'link'},
+    Unlink: {label: 'unlink', command: 'unlink'},
+    H5PSnippets: {label: 'snippets'}
+  };
+
+  /**
+   * Toolbar items CKEditor has for all fields, which the lightweight editor
+   * can do without.
+   *
+   * @constant {Array}
+   */
+  var OPTIONAL_ITEMS = ['-', 'RemoveFormat', 'JustifyLeft', 'JustifyCenter', 'JustifyRight'];
+
+  /**
+   * Tags put on their own lines.
+   *
+   * @constant {Array}
+   */
+  var BLOCK_TAGS = ['address', 'blockquote', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'ol', 'p', 'pre', 'table', 'td', 'th', 'ul'];
+
+  /**
+   * Tags written by the browser's editing commands, and the tags CKEditor
+   * uses for the same formatting.
+   *
+   * @constant {Object}
+   */
+  var RENAMED_TAGS = {
+    b: 'strong',
+    i: 'em'
+  };
+
+  /**
+   * Get the names of the items in a CKEditor toolbar. The groups are either
+   * lists of names, or have the names as items.
+   *
+   * @private
+   * @param {Array} [toolbar]
+   * @return {Array}
+   */
+  var getItems = function (toolbar) {
+    var items = [];
+    (toolbar || []).forEach(function (group) {
+      Array.prototype.push.apply(items, (group instanceof Array ? group : group.items || []));
+    });
+    return items;
+  };
+
+  /**
+   * Check if a node is put on its own line.
+   *
+   * @private
+   * @param {Node} node
+   * @return {boolean}
+   */
+  var isBlock = function (node) {
+    return node.nodeType === 1 && BLOCK_TAGS.indexOf(node.tagName.toLowerCase()) !== -1;
+  };
+
+  /**
+   * Replace an element with a new element having the same content.
+   *
+   * @private
+   * @param {Element} element
+   * @param {string} tag
+   */
+  var rename = function (element, tag) {
+    var renamed = element.ownerDocument.createElement(tag);
+    for (var i = 0; i < element.attributes.length; i++) {
+      renamed.setAttribute(element.attributes[i].name, element.attributes[i].value);
+    }
+    while (element.firstChild) {
+      renamed.appendChild(element.firstChild);
+    }
+    element.parentNode.replaceChild(renamed, element);
+  };
+
+  /**
+   * Write the edited HTML the way CKEditor would, i.e. with the same
+   * formatting tags, all text in blocks and no line breaks ending blocks.
+   *
+   * @private
+   * @param {Element} root
+   * @param {string} enterTag Used for the blocks
+   */
+  var normalize = function (root, enterTag) {
+    var i, elements = root.querySelectorAll(Object.keys(RENAMED_TAGS).join(','));
+    for (i = 0; i < elements.length; i++) {
+      rename(elements[i], RENAMED_TAGS[elements[i].tagName.toLowerCase()]);
+    }
+
+    // Put the text between the blocks in blocks of its own
+    var block;
+    var child = root.firstChild;
+    while (child !== null) {
+      var next = child.nextSibling;
+      if (isBlock(child)) {
+        block = undefined;
+      }
+      else if (child.nodeType === 3 && child.nodeValue.trim() === '' && block === undefined) {
+        root.removeChild(child); // Whitespace between blocks
+      }
+      else {
+        if (block === undefined) {
+          block = root.ownerDocument.createElement(enterTag);
+          root.insertBefore(block, child);
+        }
+        block.appendChild(child);
+      }
+      child = next;
+    }
+
+    elements = root.querySelectorAll(BLOCK_TAGS.join(','));
+    for (i = 0; i < elements.length; i++) {
+      var last = elements[i].lastChild;
+      if (last !== null && last.nodeType === 1 && last.tagName.toLowerCase() === 'br') {
+        elements[i].removeChild(last);
+        if (elements[i].firstChild === null) {
+          elements[i].innerHTML = '&nbsp;'; // Empty lines, like CKEditor's
+        }
+      }
+    }
+  };
+
+  /**
+   * Editor using the browser's own editing of the field, for devices where
+   * CKEditor is too slow. It has the buttons for bold, italic, lists and
+   * links, and the methods and events of CKEditor that ns.Html uses.
+   *
+   * @class H5PEditor.HtmlLite
+   * @extends H5P.EventDispatcher
+   * @param {Element} element Made editable
+   * @param {Object} config The CKEditor config of the field. Only the toolbar
+   *   and enterMode are used.
+   * @param {function} [clean] Receives the edited HTML and returns it
+   *   without the markup the field can't have
+   */
+  function HtmlLite(element, config, clean) {
+    var self = this;
+
+    // Initialize event inheritance
+    EventDispatcher.call(self);
+
+    var enterTag = (config.enterMode === CKEDITOR.ENTER_P ? 'p' : 'div');
+
+    // Where the caret was when the element was last focused
+    var lastRange;
+
+    // Waits for typing to pause before telling about the change
+    var changeTimer;
+
+    /**
+     * Get the ranges selected in the element.
+     *
+     * @private
+     * @return {Array}
+     */
+    var getRanges = function () {
+      var selection = window.getSelection();
+      var ranges = [];
+      for (var i = 0; i < selection.rangeCount; i++) {
+        var range = selection.getRangeAt(i);
+        if (element.contains(range.commonAncestorContainer)) {
+          ranges.push(range.cloneRange());
+        }
+      }
+      return ranges;
+    };
+
+    /**
+     * Select the given ranges.
+     *
+     * @private
+     * @param {Array} ranges
+     */
+    var selectRanges = function (ranges) {
+      var selection = window.getSelection();
+      selection.removeAllRanges();
+      ranges.forEach(function (range) {
+        selection.addRange(range);
+      });
+    };
+
+    /**
+     * Create a link from the selection, or insert the address as a link.
+     * Links open in a new tab, like the ones made with CKEditor's dialog.
+     *
+     * @private
+     */
+    var createLink = function () {
+      var ranges = getRanges();
+      var url = window.prompt(ns.t('core', 'linkUrl'), 'http://');
+      self.focus();
+      selectRanges(ranges);
+      if (!url || H5P.trim(url) === '' || H5P.trim(url) === 'http://') {
+        return;
+      }
+
+      url = H5P.trim(url);
+      if (window.getSelection().isCollapsed) {
+        document.execCommand('insertHTML', false, $('<a/>', {href: url, target: '_blank', text: url})[0].outerHTML);
+        return;
+      }
+
+      document.execCommand('createLink', false, url);
+      $(element).find('a').each(function () {
+        if (this.getAttribute('href') === url && !this.hasAttribute('target')) {
+          this.setAttribute('target', '_blank');
+        }
+      });
+    };
+
+    /**
+     * Run the command of a toolbar item.
+     *
+     * @private
+     * @param {string} name
+     */
+    var run = function (name) {
+      if (name === 'H5PSnippets') {
+        if (ns.Html.current !== undefined && ns.Html.current.ckeditor === self) {
+          ns.Html.current.snippets.open();
+        }
+        return;
+      }
+
+      if (document.activeElement !== element) {
+        // Focus was moved to the toolbar using the keyboard
+        self.focus();
+        if (lastRange !== undefined) {
+          selectRanges([lastRange]);
+        }
+      }
+      if (name === 'Link') {
+        createLink();
+      }
+      else {
+        document.execCommand(ITEMS[name].command, false, null);
+      }
+      self.trigger('change');
+      update();
+    };
+
+    // Toolbar with the items of the CKEditor toolbar that can be used
+    var $toolbar = $('<div/>', {
+      'class': 'h5peditor-html-lite-toolbar',
+      role: 'toolbar'
+    });
+    (config.toolbar || []).forEach(function (group) {
+      var $group;
+      getItems([group]).forEach(function (name) {
+        if (ITEMS[name] === undefined) {
+          return;
+        }
+        if ($group === undefined) {
+          $group = $('<span/>', {
+            'class': 'h5peditor-html-lite-group',
+            appendTo: $toolbar
+          });
+        }
+
+        $('<button/>', {
+          type: 'button',
+          'class': 'h5peditor-html-lite-button h5peditor-html-lite-' + name.toLowerCase(),
+          text: ITEMS[name].text || ns.t('core', ITEMS[name].label),
+          title: ns.t('core', ITEMS[name].label),
+          'data-name': name,
+          mousedown: function (event) {
+            event.preventDefault(); // Keep the selection
+          },
+          click: function () {
+            run(name);
+          },
+          appendTo: $group
+        });
+      });
+    });
+    $toolbar.insertBefore(element);
+
+    /**
+     * Show which of the formatting buttons apply to the selection.
+     *
+     * @private
+     */
+    var update = function () {
+      $toolbar.find('button').each(function () {
+        var command = ITEMS[this.getAttribute('data-name')].command;
+        if (command !== undefined && command !== 'unlink') {
+          this.setAttribute('aria-pressed', document.queryCommandState(command) ? 'true' : 'false');
+        }
+      });
+    };
+
+    var $element = $(element).attr('contenteditable', 'true').on('focus.h5peditor-html-lite', function () {
+      document.execCommand('defaultParagraphSeparator', false, enterTag);
+      document.execCommand('styleWithCSS', false, false);
+      self.trigger('focus');
+    }).on('blur.h5peditor-html-lite', function () {
+      lastRange = getRanges()[0];
+      self.trigger('blur');
+    }).on('input.h5peditor-html-lite', function () {
+      clearTimeout(changeTimer);
+      changeTimer = setTimeout(function () {
+        self.trigger('change');
+      }, CHANGE_DELAY);
+    }).on('keyup.h5peditor-html-lite mouseup.h5peditor-html-lite', update)
+      .on('paste.h5peditor-html-lite', function (event) {
+        // Only text is pasted, the formatting of other programs can't be used
+        var data = event.originalEvent.clipboardData;
+        if (data) {
+          event.preventDefault();
+          document.execCommand('insertText', false, data.getData('text/plain'));
+        }
+      });
+
+    /**
+     * Like CKEditor's.
+     *
+     * @type {string}
+     */
+    self.status = 'ready';
+
+    /**
+     * Get the HTML of the field, written the way CKEditor would.
+     *
+     * @return {string}
+     */
+    self.getData = function () {
+      var doc = new DOMParser().parseFromString('<body></body>', 'text/html');
+      doc.body.innerHTML = element.innerHTML;
+      normalize(doc.body, enterTag);
+      return (clean ? clean(doc.body.innerHTML) : doc.body.innerHTML);
+    };
+
+    /**
+     * @param {string} html
+     */
+    self.setData = function (html) {
+      element.innerHTML = html;
+    };
+
+    /**
+     * Get the selected HTML.
+     *
+     * @return {string}
+     */
+    self.getSelectedHtml = function () {
+      var $html = $('<div/>');
+      getRanges().forEach(function (range) {
+        $html.append(range.cloneContents());
+      });
+      return $html.html();
+    };
+
+    /**
+     * Insert HTML where the caret is.
+     *
+     * @param {string} html
+     */
+    self.insertHtml = function (html) {
+      document.execCommand('insertHTML', false, html);
+      self.trigger('change');
+    };
+
+    /**
+     * Get the selection, with the methods of CKEditor's selection used by
+     * the fields.
+     *
+     * @return {Object}
+     */
+    self.getSelection = function () {
+      return {
+        getRanges: getRanges,
+        selectRanges: selectRanges
+      };
+    };
+
+    /**
+     * @return {Object} With the editable element as $, like CKEditor's
+     */
+    self.editable = function () {
+      return {
+        $: element
+      };
+    };
+
+    self.focus = function () {
+      if (document.activeElement !== element) {
+        element.focus();
+      }
+    };
+
+    /**
+     * Stop editing the field.
+     */
+    self.destroy = function () {
+      if (self.status === 'destroyed') {
+        return;
+      }
+      clearTimeout(changeTimer);
+      $toolbar.remove();
+      $element.off('.h5peditor-html-lite');
+      self.status = 'destroyed';
+      self.trigger('destroy');
+    };
+
+    /**
+     * Like CKEditor's.
+     *
+     * @param {string} name
+     */
+    self.fire = function (name) {
+      self.trigger(name);
+    };
+
+    // The field is focused when the editor is created
+    setTimeout(function () {
+      if (self.status === 'ready' && document.activeElement === element) {
+        self.trigger('focus');
+        update();
+      }
+    }, 0);
+  }
+
+  HtmlLite.prototype = Object.create(EventDispatcher.prototype);
+  HtmlLite.prototype.constructor = HtmlLite;
+
+  /**
+   * Check if the lightweight editor should be used instead of CKEditor. The
+   * site decides by setting H5PIntegration.editor.wysiwyg to 'lite' or
+   * 'ckeditor'. Otherwise, it is used on devices with little memory, for
+   * fields where it has all the toolbar items that matter.
+   *
+   * @param {Object} config The CKEditor config of the field
+   * @return {boolean}
+   */
+  HtmlLite.isPreferred = function (config) {
+    var editor = (window.H5PIntegration !== undefined && H5PIntegration.editor.wysiwyg);
+    if (editor === 'lite' || editor === 'ckeditor') {
+      return (editor === 'lite');
+    }
+    if (navigator.deviceMemory === undefined || navigator.deviceMemory > LOW_MEMORY) {
+      return false;
+    }
+    return getItems(config.toolbar).every(function (name) {
+      return ITEMS[name] !== undefined || OPTIONAL_ITEMS.indexOf(name) !== -1;
+    });
+  };
+
+  return HtmlLite;
+})(H5P.jQuery, H5P.EventDispatcher);
@@ -0,0 +1,385 @@
+/* global ns */
+H5PEditor.HtmlSanitizer = (function () {
+
+  /**
+   * Attributes allowed on all tags.
+   *
+   * @constant {Array}
+   */
+  var GLOBAL_ATTRIBUTES = ['class', 'dir', 'lang', 'style', 'title'];
+
+  /**
+   * Attributes allowed on specific tags.
+   *
+   * @constant {Object}
+   */
+  var TAG_ATTRIBUTES = {
+    a: ['href', 'name', 'rel', 'target'],
+    img: ['alt', 'height', 'src', 'width'],
+    ol: ['start', 'type'],
+    ul: ['type'],
+    table: ['border', 'cellpadding', 'cellspacing', 'summary'],
+    colgroup: ['span'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope']
+  };
+
+  /**
+   * Attributes containing URLs.
+   *
+   * @constant {Array}
+   */
+  var URL_ATTRIBUTES = ['href', 'src'];
+
+  /**
+   * URL schemes that can be linked to. URLs without a scheme are allowed.
+   *
+   * @constant {Array}
+   */
+  var URL_SCHEMES = ['http', 'https', 'ftp', 'mailto', 'tel'];
+
+  /**
+   * CSS properties set by the editor's buttons for specific tags. The
+   * alignment is added to all texts, and the font properties are allowed by
+   * the font option in the semantics.
+   *
+   * @constant {Object}
+   */
+  var TAG_STYLES = {
+    img: ['float', 'height', 'width'],
+    table: ['height', 'width'],
+    td: ['height', 'vertical-align', 'width'],
+    th: ['height', 'vertical-align', 'width']
+  };
+
+  /**
+   * CSS properties controlled by the font option in the semantics.
+   *
+   * @constant {Object}
+   */
+  var FONT_STYLES = {
+    family: 'font-family',
+    size: 'font-size',
+    color: 'color',
+    background: 'background-color',
+    spacing: 'letter-spacing',
+    height: 'line-height'
+  };
+
+  /**
+   * Values that can be used for text alignment.
+   *
+   * @constant {Array}
+   */
+  var ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+  /**
+   * Tags that are removed together with their content when they aren't
+   * allowed, instead of being replaced by their content.
+   *
+   * @constant {Array}
+   */
+  var DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg'];
+
+  /**
+   * Tags that only format their content, and are useless without it.
+   *
+   * @constant {Array}
+   */
+  var FORMATTING_TAGS = ['strong', 'b', 'em', 'i', 'u', 's', 'del', 'strike', 'sub', 'sup', 'span'];
+
+  /**
+   * Replace an element with its content.
+   *
+   * @private
+   * @param {Element} element
+   */
+  var unwrap = function (element) {
+    while (element.firstChild) {
+      element.parentNode.insertBefore(element.firstChild, element);
+    }
+    element.parentNode.removeChild(element);
+  };
+
+  /**
+   * Check if a URL uses one of the allowed schemes.
+   *
+   * @private
+   * @param {string} url
+   * @return {string|undefined} The scheme if it isn't allowed
+   */
+  var getDisallowedScheme = function (url) {
+    // Browsers ignore whitespace and control characters in schemes
+    var scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme !== null && URL_SCHEMES.indexOf(scheme[1].toLowerCase()) === -1) {
+      return scheme[1].toLowerCase();
+    }
+  };
+
+  /**
+   * Cleans HTML using the tags and font options in a field's semantics.
+   *
+   * @private
+   * @class
+   * @param {Object} field Semantics
+   * @param {Array} tags Allowed tags
+   * @param {Document} doc Used to parse the HTML
+   */
+  function Sanitizer(field, tags, doc) {
+    var self = this;
+
+    // Descriptions of the removed markup
+    var removed = [];
+
+    // Used to write CSS values the way the browser does
+    var probe = doc.createElement('span');
+
+    /**
+     * Remember that something was removed.
+     *
+     * @private
+     * @param {string} description
+     */
+    var report = function (description) {
+      if (removed.indexOf(description) === -1) {
+        removed.push(description);
+      }
+    };
+
+    /**
+     * Write a CSS value the way the browser does, e.g. colors as rgb().
+     *
+     * @private
+     * @param {string} property
+     * @param {string} value
+     * @return {string}
+     */
+    var normalize = function (property, value) {
+      probe.style.setProperty(property, value);
+      value = probe.style.getPropertyValue(property);
+      probe.style.removeProperty(property);
+      return value.replace(/["']/g, '').replace(/\s*,\s*/g, ',').toLowerCase();
+    };
+
+    /**
+     * Get the CSS value of a font option. Colors may be given without #,
+     * like the editor's color buttons expect.
+     *
+     * @private
+     * @param {string} property
+     * @param {string} css
+     * @return {string}
+     */
+    var getOptionCss = function (property, css) {
+      if ((property === 'color' || property === 'background-color') && /^[a-f0-9]{3}([a-f0-9]{3})?$/i.test(css)) {
+        return '#' + css;
+      }
+      return css;
+    };
+
+    /**
+     * Check if the CSS property can have the given value on the element.
+     *
+     * @private
+     * @param {string} tag
+     * @param {string} property
+     * @param {string} value
+     * @return {boolean}
+     */
+    var isStyleAllowed = function (tag, property, value) {
+      if (/url\s*\(|expression\s*\(|javascript:|[<>\\]/i.test(value)) {
+        return false;
+      }
+      if (property === 'text-align') {
+        return ALIGNMENTS.indexOf(value.toLowerCase()) !== -1;
+      }
+      if (TAG_STYLES[tag] !== undefined && TAG_STYLES[tag].indexOf(property) !== -1) {
+        return true;
+      }
+
+      for (var option in FONT_STYLES) {
+        if (FONT_STYLES[option] !== property || field.font === undefined || !field.font[option]) {
+          continue;
+        }
+        if (!(field.font[option] instanceof Array)) {
+          return true; // Any value can be used
+        }
+
+        value = normalize(property, value);
+        for (var i = 0; i < field.font[option].length; i++) {
+          var css = field.font[option][i].css;
+          if (css !== undefined && normalize(property, getOptionCss(property, css)) === value) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    /**
+     * Remove the CSS properties that aren't allowed.
+     *
+     * @private
+     * @param {Element} element
+     * @param {string} tag
+     */
+    var cleanStyle = function (element, tag) {
+      var style = element.style;
+      var allowed = [];
+      for (var i = 0; i < style.length; i++) {
+        var property = style[i];
+        var value = style.getPropertyValue(property);
+        if (isStyleAllowed(tag, property, value)) {
+          allowed.push(property + ': ' + value);
+        }
+        else if (value !== 'initial') { // Left by shorthand properties
+          report(property + ':');
+        }
+      }
+
+      if (allowed.length) {
+        element.setAttribute('style', allowed.join('; ') + ';');
+      }
+      else {
+        element.removeAttribute('style');
+      }
+    };
+
+    /**
+     * Remove the attributes that aren't allowed.
+     *
+     * @private
+     * @param {Element} element
+     * @param {string} tag
+     */
+    var cleanAttributes = function (element, tag) {
+      var allowed = GLOBAL_ATTRIBUTES.concat(TAG_ATTRIBUTES[tag] || []);
+      for (var i = element.attributes.length - 1; i >= 0; i--) {
+        var name = element.attributes[i].name.toLowerCase();
+        if (allowed.indexOf(name) === -1) {
+          element.removeAttribute(element.attributes[i].name);
+          report(name);
+          continue;
+        }
+
+        if (URL_ATTRIBUTES.indexOf(name) !== -1) {
+          var scheme = getDisallowedScheme(element.getAttribute(name));
+          if (scheme !== undefined) {
+            element.removeAttribute(name);
+            report(scheme + ':');
+          }
+        }
+        else if (name === 'style') {
+          cleanStyle(element, tag);
+        }
+      }
+    };
+
+    /**
+     * Check if an element lacks content that is displayed.
+     *
+     * @private
+     * @param {Element} element
+     * @return {boolean}
+     */
+    var isEmpty = function (element) {
+      return element.textContent === '' && element.querySelector('img,br,hr,table') === null;
+    };
+
+    /**
+     * Clean the children of the given element, deepest first.
+     *
+     * @private
+     * @param {Node} parent
+     */
+    var clean = function (parent) {
+      var child = parent.firstChild;
+      while (child !== null) {
+        var next = child.nextSibling;
+
+        if (child.nodeType === 8) {
+          parent.removeChild(child); // Comments
+        }
+        else if (child.nodeType === 1) {
+          var tag = child.tagName.toLowerCase();
+          if (tags.indexOf(tag) === -1) {
+            report('<' + tag + '>');
+            if (DROPPED_TAGS.indexOf(tag) !== -1) {
+              parent.removeChild(child);
+              child = next;
+              continue;
+            }
+          }
+
+          clean(child);
+
+          if (tags.indexOf(tag) === -1) {
+            unwrap(child);
+          }
+          else {
+            cleanAttributes(child, tag);
+            simplify(child, tag);
+          }
+        }
+
+        child = next;
+      }
+    };
+
+    /**
+     * Remove formatting that has no effect, like empty or repeated tags.
+     *
+     * @private
+     * @param {Element} element
+     * @param {string} tag
+     */
+    var simplify = function (element, tag) {
+      if (FORMATTING_TAGS.indexOf(tag) !== -1) {
+        if (isEmpty(element)) {
+          element.parentNode.removeChild(element);
+        }
+        else if ((tag === 'span' && !element.attributes.length) ||
+            (!element.attributes.length && element.parentNode.closest && element.parentNode.closest(tag) !== null)) {
+          unwrap(element); // Within the same formatting
+        }
+      }
+      else if (tag === 'a' && !element.hasAttribute('href') && !element.hasAttribute('name')) {
+        unwrap(element);
+      }
+    };
+
+    /**
+     * @param {Element} root Its content is cleaned
+     * @return {Array} Descriptions of the removed markup
+     */
+    self.clean = function (root) {
+      clean(root);
+      return removed;
+    };
+  }
+
+  return {
+
+    /**
+     * Remove the tags, attributes, CSS properties and URL schemes that can't
+     * be used in an HTML field, and simplify the remaining markup.
+     *
+     * @param {string} html
+     * @param {Object} field Semantics, which decide the allowed tags and
+     *   font properties
+     * @param {Array} [tags] Allowed tags, if they have already been found
+     * @return {Object} With the cleaned html, and descriptions of the
+     *   removed markup
+     */
+    sanitize: function (html, field, tags) {
+      var doc = new DOMParser().parseFromString('<body></body>', 'text/html');
+      doc.body.innerHTML = html; // Nothing is run or loaded in parsed documents
+
+      var removed = new Sanitizer(field, tags || ns.getAllowedTags(field), doc).clean(doc.body);
+      return {
+        html: doc.body.innerHTML,
+        removed: removed
+      };
+    }
+  };
+})();
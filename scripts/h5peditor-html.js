@@ -13,11 +13,80 @@ ns.Html = function (parent, field, params, setValue) {
   this.field = field;
   this.value = params;
   this.setValue = setValue;
-  this.tags = ns.$.merge(['br'], (this.field.tags || this.defaultTags));
+  this.tags = ns.getAllowedTags(this.field);
+  this.font = ns.Html.getFont(this.field);
 };
 ns.Html.first = true;
 
-ns.Html.prototype.defaultTags = ['strong', 'em', 'del', 'h2', 'h3', 'a', 'ul', 'ol', 'table', 'hr'];
+/**
+ * Get the site's presets for the editor, set by
+ * H5PIntegration.editor.wysiwygPresets. It may have:
+ * - styles: Block styles, in CKEditor's stylesSet format. Only the styles
+ *   setting nothing but the class attribute are used, since the texts can't
+ *   have other attributes or CSS from the styles.
+ * - font: Lists of family, size, color and background options, in the same
+ *   format as the font option in the semantics
+ * - override: Use the preset lists instead of the lists in the semantics
+ *
+ * @return {Object}
+ */
+ns.Html.getPresets = function () {
+  return (window.H5PIntegration !== undefined && H5PIntegration.editor.wysiwygPresets) || {};
+};
+
+/**
+ * Get the font options of a field with the site's presets applied. The
+ * semantics decide which options are available, as the content type must
+ * support them. For each available option, the preset list is used if the
+ * semantics don't have a list of their own, or if the presets override them.
+ * When both colors and backgrounds are lists, both get the colors of either,
+ * as the editor has one palette for them.
+ *
+ * @param {Object} field
+ * @return {Object|undefined}
+ */
+ns.Html.getFont = function (field) {
+  if (field.font === undefined) {
+    return;
+  }
+
+  var presets = ns.Html.getPresets();
+  var lists = presets.font || {};
+  var font = {};
+  for (var option in field.font) {
+    font[option] = field.font[option];
+    if (font[option] && lists[option] instanceof Array && (presets.override === true || !(font[option] instanceof Array))) {
+      font[option] = lists[option];
+    }
+  }
+
+  if (font.color instanceof Array && font.background instanceof Array) {
+    font.color = font.background = font.color.concat(font.background.filter(function (background) {
+      return !font.color.some(function (color) {
+        return String(color.css).replace('#', '').toLowerCase() === String(background.css).replace('#', '').toLowerCase();
+      });
+    }));
+  }
+  return font;
+};
+
+/**
+ * Check if a preset style only uses the class attribute, which the texts
+ * are allowed to have.
+ *
+ * @param {Object} style In CKEditor's stylesSet format
+ * @return {boolean}
+ */
+ns.Html.isClassStyle = function (style) {
+  if (style.styles !== undefined && Object.keys(style.styles).length) {
+    return false;
+  }
+  return Object.keys(style.attributes || {}).every(function (name) {
+    return name === 'class';
+  });
+};
+
+ns.Html.prototype.defaultTags = ns.defaultHtmlTags;
 
 // This should probably be named "hasTag()" instead...
 // And might be more efficient if this.tags.contains() were used?
@@ -98,12 +167,14 @@ ns.Html.prototype.createToolbar = function () {
   }
 
   // Inserts
-  if (this.inTags("img")) inserts.push("Image");
+  if (this.inTags("img")) inserts.push(ns.HtmlImage.isEnabled() ? "H5PImage" : "Image");
   if (this.inTags("table")) {
     inserts.push("Table");
     ns.$.merge(this.tags, ["tr", "td", "th", "colgroup", "thead", "tbody", "tfoot"]);
   }
   if (this.inTags("hr")) inserts.push("HorizontalRule");
+  if (this.field.math === true) inserts.push("H5PFormula");
+  inserts.push("H5PSnippets");
   if (inserts.length > 0) {
     toolbar.push({
       name: "insert",
@@ -137,11 +208,35 @@ ns.Html.prototype.createToolbar = function () {
     styles.items.push('Format');
   }
 
+  // Add the site's block styles that use allowed tags
+  var presets = ns.Html.getPresets();
+  var stylesSet = (presets.styles || []).filter(function (style) {
+    return style.element !== undefined && this.inTags(style.element) && ns.Html.isClassStyle(style);
+  }, this);
+  if (stylesSet.length) {
+    styles.items.unshift('Styles');
+  }
+
   var ret = {
     toolbar: toolbar
   };
 
-  if (this.field.font !== undefined) {
+  if (stylesSet.length) {
+    ret.stylesSet = stylesSet;
+  }
+
+  // Formulas are plain text displayed by H5P.MathDisplay
+  var plugins = [];
+  if (this.field.math === true) {
+    plugins.push(ns.Formula.PLUGIN);
+  }
+  if (this.inTags('img') && ns.HtmlImage.isEnabled()) {
+    plugins.push(ns.HtmlImage.PLUGIN);
+  }
+  plugins.push(ns.Snippets.PLUGIN);
+  ret.extraPlugins = plugins.join(',');
+
+  if (this.font !== undefined) {
     this.tags.push('span');
 
     /**
@@ -193,24 +288,24 @@ ns.Html.prototype.createToolbar = function () {
       return colors;
     };
 
-    if (this.field.font.family) {
+    if (this.font.family) {
       // Font family chooser
       styles.items.push('Font');
 
-      if (this.field.font.family instanceof Array) {
+      if (this.font.family instanceof Array) {
         // Use specified families
-        setValues(this.field.font.family, 'font_names', 'font_defaultLabel');
+        setValues(this.font.family, 'font_names', 'font_defaultLabel');
       }
     }
 
-    if (this.field.font.size) {
+    if (this.font.size) {
       // Font size chooser
       styles.items.push('FontSize');
 
       ret.fontSize_sizes = '';
-      if (this.field.font.size instanceof Array) {
+      if (this.font.size instanceof Array) {
         // Use specified sizes
-        setValues(this.field.font.size, 'fontSize_sizes', 'fontSize_defaultLabel');
+        setValues(this.font.size, 'fontSize_sizes', 'fontSize_defaultLabel');
       }
       else {
         ret.fontSize_defaultLabel = '100%';
@@ -226,24 +321,21 @@ ns.Html.prototype.createToolbar = function () {
       }
     }
 
-    if (this.field.font.color) {
+    if (this.font.color) {
       // Text color chooser
       colors.items.push('TextColor');
-
-      if (this.field.font.color instanceof Array) {
-        ret.colorButton_colors = getColors(this.field.font.color);
-        ret.colorButton_enableMore = false;
-      }
     }
 
-    if (this.field.font.background) {
+    if (this.font.background) {
       // Text background color chooser
       colors.items.push('BGColor');
+    }
 
-      if (this.field.font.background instanceof Array) {
-        ret.colorButton_colors = getColors(this.field.font.color);
-        ret.colorButton_enableMore = false;
-      }
+    // Both choosers use the same palette, see ns.Html.getFont
+    var palette = (this.font.color instanceof Array ? this.font.color : this.font.background);
+    if (palette instanceof Array) {
+      ret.colorButton_colors = getColors(palette);
+      ret.colorButton_enableMore = false;
     }
   }
 
@@ -286,6 +378,38 @@ ns.Html.prototype.appendTo = function ($wrapper) {
   this.$item = ns.$(this.createHtml()).appendTo($wrapper);
   this.$input = this.$item.children('.ckeditor');
   this.$errors = this.$item.children('.h5p-errors');
+  this.textChecker = ns.TextChecker.attachToEditable(this.$input[0]);
+
+  this.counter = new ns.Counter(this.field);
+  this.counter.insertBefore(this.$errors);
+
+  this.$removed = ns.$('<div/>', {
+    'class': 'h5peditor-html-removed',
+    role: 'status'
+  }).hide().insertBefore(this.$errors);
+  this.counter.update(ns.Counter.getHtmlText(this.value || ''));
+
+  // Snippets are inserted where the cursor was when the panel was opened
+  var ranges;
+  this.snippets = new ns.Snippets({
+    getSelection: function () {
+      var selection = that.ckeditor.getSelection();
+      ranges = (selection ? selection.getRanges() : []);
+      return ns.HtmlImage.toRelative(that.ckeditor.getSelectedHtml(true) || '');
+    },
+    insert: function (html) {
+      that.ckeditor.focus();
+      if (ranges.length) {
+        that.ckeditor.getSelection().selectRanges(ranges);
+      }
+
+      // The snippet may have been saved in a field allowing other tags
+      var sanitized = ns.HtmlSanitizer.sanitize(html, ns.$.extend({}, that.field, {font: that.font}), that.tags);
+      that.$removed.text(ns.t('core', 'htmlRemoved', {':items': sanitized.removed.join(', ')})).toggle(sanitized.removed.length > 0);
+      that.ckeditor.insertHtml(ns.HtmlImage.toAbsolute(sanitized.html));
+    }
+  });
+  this.snippets.insertBefore(this.$errors);
 
   ns.bindImportantDescriptionEvents(this, this.field.name, this.parent);
 
@@ -319,6 +443,9 @@ ns.Html.prototype.appendTo = function ($wrapper) {
 
     if (ns.Html.first) {
       CKEDITOR.basePath = ns.basePath + '/ckeditor/';
+      ns.Formula.registerPlugin();
+      ns.HtmlImage.registerPlugin();
+      ns.Snippets.registerPlugin();
     }
 
     if (ns.Html.current === that) {
@@ -327,16 +454,42 @@ ns.Html.prototype.appendTo = function ($wrapper) {
     // Remove existing CK instance.
     ns.Html.removeWysiwyg();
 
-    CKEDITOR.document.getBody = function () {
-      return new CKEDITOR.dom.element(that.$item[0]);
-    };
-
     ns.Html.current = that;
-    ckConfig.width = this.offsetWidth - 8; // Avoid miscalculations
-    that.ckeditor = CKEDITOR.replace(this, ckConfig);
+    if (ns.HtmlLite.isPreferred(ckConfig)) {
+      // Markup CKEditor would have cleaned up on paste is removed silently
+      that.ckeditor = new ns.HtmlLite(this, ckConfig, function (html) {
+        return ns.HtmlSanitizer.sanitize(html, ns.$.extend({}, that.field, {font: that.font}), that.tags).html;
+      });
+    }
+    else {
+      CKEDITOR.document.getBody = function () {
+        return new CKEDITOR.dom.element(that.$item[0]);
+      };
+
+      ckConfig.width = this.offsetWidth - 8; // Avoid miscalculations
+      that.ckeditor = CKEDITOR.replace(this, ckConfig);
+    }
 
     that.ckeditor.on('focus', function () {
       blurFired = false;
+      that.counter.setActive(true);
+    });
+
+    that.ckeditor.on('change', function () {
+      that.counter.update(ns.Counter.getHtmlText(that.ckeditor.getData()));
+    });
+
+    // Underline issues in the text being edited as well. The lightweight
+    // editor edits the field itself, which is already checked.
+    that.ckeditor.on('contentDom', function () {
+      var checker = ns.TextChecker.attachToEditable(that.ckeditor.editable().$, function () {
+        that.ckeditor.fire('change');
+      });
+      var listener = that.ckeditor.on('dataReady', checker.check);
+      that.ckeditor.once('contentDomUnload', function () {
+        listener.removeListener();
+        checker.detach();
+      });
     });
 
     that.ckeditor.once('destroy', function () {
@@ -355,10 +508,13 @@ ns.Html.prototype.appendTo = function ($wrapper) {
       if (that.$placeholder.length !== 0 && (value === undefined || value.length === 0) && (that.value === undefined || that.value.length === 0)) {
         that.$placeholder.appendTo(that.$item.find('.ckeditor'));
       }
+      that.textChecker.check();
+      that.snippets.close();
     });
 
     var blur = function () {
       blurFired = true;
+      that.counter.setActive(false);
       // Do not validate if the field has been hidden.
       if (that.$item.is(':visible')) {
         that.validate();
@@ -417,7 +573,7 @@ ns.Html.prototype.appendTo = function ($wrapper) {
 ns.Html.prototype.createHtml = function () {
   var input = '<div class="ckeditor" tabindex="0" contenteditable="true">';
   if (this.value !== undefined) {
-    input += this.value;
+    input += ns.HtmlImage.toAbsolute(this.value);
   }
   else if (this.field.placeholder !== undefined) {
     input += '<span class="h5peditor-ckeditor-placeholder">' + this.field.placeholder + '</span>';
@@ -441,32 +597,34 @@ ns.Html.prototype.validate = function () {
   // Get contents from editor
   var value = this.ckeditor !== undefined ? this.ckeditor.getData() : this.$input.html();
 
+  // Images are stored with paths relative to the content's folder
+  value = ns.HtmlImage.toRelative(value);
+
   value = value
     // Remove placeholder text if any:
     .replace(/<span class="h5peditor-ckeditor-placeholder">.*<\/span>/, '')
     // Workaround for Microsoft browsers that otherwise can produce non-emtpy fields causing trouble
     .replace(/^<br>$/, '');
 
-  var $value = ns.$('<div>' + value + '</div>');
-  var textValue = $value.text();
+  // Remove tags, attributes, styles and links that aren't allowed. Tags are
+  // replaced by their content, so the text of unallowed containers remains.
+  var sanitized = ns.HtmlSanitizer.sanitize(value, ns.$.extend({}, this.field, {font: this.font}), this.tags);
+  value = sanitized.html;
 
-  // Check if we have any text at all.
-  if (!this.field.optional && !textValue.length) {
-    // We can accept empty text, if there's an image instead.
-    if (! (this.inTags("img") && $value.find('img').length > 0)) {
-      this.$errors.append(ns.createError(ns.t('core', 'requiredProperty', {':property': ns.t('core', 'textField')})));
+  this.$removed.text(ns.t('core', 'htmlRemoved', {':items': sanitized.removed.join(', ')})).toggle(sanitized.removed.length > 0);
+  if (sanitized.removed.length) {
+    // Let the author see what will be saved
+    if (this.ckeditor !== undefined && this.ckeditor.status === 'ready') {
+      this.ckeditor.setData(ns.HtmlImage.toAbsolute(value));
+    }
+    else {
+      this.$input.html(ns.HtmlImage.toAbsolute(value));
     }
   }
+  this.counter.update(ns.Counter.getHtmlText(value));
 
-  // Verify HTML tags.  Removes tags not in allowed tags.  Will replace with
-  // the tag's content.  So if we get an unallowed container, the contents
-  // will remain, without the container.
-  $value.find('*').each(function () {
-    if (! that.inTags(this.tagName)) {
-      ns.$(this).replaceWith(ns.$(this).contents());
-    }
-  });
-  value = $value.html();
+  // Check if we have any text at all.
+  ns.appendErrors(this.$errors, ns.validateField(this.field, value));
 
   // Display errors and bail if set.
   if (that.$errors.children().length) {
@@ -513,12 +671,13 @@ ns.Html.prototype.remove = function () {
  */
 ns.Html.prototype.forceValue = function (value) {
   if (this.ckeditor === undefined) {
-    this.$input.html(value);
+    this.$input.html(ns.HtmlImage.toAbsolute(value));
   }
   else {
-    this.ckeditor.setData(value);
+    this.ckeditor.setData(ns.HtmlImage.toAbsolute(value));
   }
   this.validate();
+  this.textChecker.check();
 };
 
 ns.widgets.html = ns.Html;
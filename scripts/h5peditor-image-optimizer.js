@@ -0,0 +1,280 @@
+H5PEditor.ImageOptimizer = (function ($) {
+
+  /**
+   * Image types that can be re-encoded without losing anything but
+   * quality, i.e. not animated GIFs.
+   *
+   * @constant {Array}
+   */
+  var SUPPORTED_TYPES = ['image/jpeg', 'image/png'];
+
+  /**
+   * Number of bytes to read when looking for the EXIF orientation.
+   *
+   * @constant {number}
+   */
+  var EXIF_BYTES = 65536;
+
+  /**
+   * Find the EXIF orientation of a JPEG image.
+   *
+   * @private
+   * @param {ArrayBuffer} buffer Start of the file
+   * @return {number} Between 1 and 8, where 1 means no transformation
+   */
+  var parseOrientation = function (buffer) {
+    try {
+      var view = new DataView(buffer);
+      if (view.getUint16(0) !== 0xFFD8) {
+        return 1; // Not a JPEG
+      }
+
+      var offset = 2;
+      while (offset + 4 <= view.byteLength) {
+        var marker = view.getUint16(offset);
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+          // Found the EXIF segment, look through the first image directory
+          var tiff = offset + 10;
+          var littleEndian = (view.getUint16(tiff) === 0x4949);
+          var directory = tiff + view.getUint32(tiff + 4, littleEndian);
+          var entries = view.getUint16(directory, littleEndian);
+
+          for (var i = 0; i < entries; i++) {
+            var entry = directory + 2 + (i * 12);
+            if (view.getUint16(entry, littleEndian) === 0x0112) {
+              return view.getUint16(entry + 8, littleEndian);
+            }
+          }
+          return 1;
+        }
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+          return 1; // The image data starts, there is no orientation
+        }
+        offset += 2 + view.getUint16(offset + 2);
+      }
+    }
+    catch (err) {
+      // Broken or truncated EXIF data
+    }
+    return 1;
+  };
+
+  /**
+   * Read the EXIF orientation of the given image file.
+   *
+   * @private
+   * @param {Blob} file
+   * @param {function} callback Receives the orientation
+   */
+  var readOrientation = function (file, callback) {
+    if (file.type !== 'image/jpeg' || isOrientedByBrowser()) {
+      callback(1);
+      return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function () {
+      callback(parseOrientation(reader.result));
+    };
+    reader.onerror = function () {
+      callback(1);
+    };
+    reader.readAsArrayBuffer(file.slice(0, EXIF_BYTES));
+  };
+
+  /**
+   * Check if the browser turns images the right way when they are loaded,
+   * making the EXIF orientation irrelevant.
+   *
+   * @private
+   * @return {boolean}
+   */
+  var isOrientedByBrowser = function () {
+    return window.getComputedStyle(document.documentElement).imageOrientation === 'from-image';
+  };
+
+  /**
+   * Load the image in the given file.
+   *
+   * @private
+   * @param {Blob} file
+   * @param {function} callback Receives the image, or nothing if it failed
+   */
+  var loadImage = function (file, callback) {
+    var url = URL.createObjectURL(file);
+    var image = new Image();
+    image.onload = function () {
+      URL.revokeObjectURL(url);
+      callback(image);
+    };
+    image.onerror = function () {
+      URL.revokeObjectURL(url);
+      callback();
+    };
+    image.src = url;
+  };
+
+  /**
+   * Draw the image scaled and turned the right way.
+   *
+   * @private
+   * @param {HTMLImageElement} image
+   * @param {number} width Of the scaled image, before it is turned
+   * @param {number} height Of the scaled image, before it is turned
+   * @param {number} orientation EXIF orientation
+   * @return {HTMLCanvasElement}
+   */
+  var draw = function (image, width, height, orientation) {
+    var canvas = document.createElement('canvas');
+    var isTurned = (orientation >= 5);
+    canvas.width = (isTurned ? height : width);
+    canvas.height = (isTurned ? width : height);
+
+    var context = canvas.getContext('2d');
+    switch (orientation) {
+      case 2:
+        context.transform(-1, 0, 0, 1, width, 0);
+        break;
+      case 3:
+        context.transform(-1, 0, 0, -1, width, height);
+        break;
+      case 4:
+        context.transform(1, 0, 0, -1, 0, height);
+        break;
+      case 5:
+        context.transform(0, 1, 1, 0, 0, 0);
+        break;
+      case 6:
+        context.transform(0, 1, -1, 0, height, 0);
+        break;
+      case 7:
+        context.transform(0, -1, -1, 0, height, width);
+        break;
+      case 8:
+        context.transform(0, -1, 1, 0, 0, width);
+        break;
+    }
+    context.drawImage(image, 0, 0, width, height);
+
+    return canvas;
+  };
+
+  /**
+   * Downscale and re-encode the image in a file.
+   *
+   * @private
+   * @param {File} file
+   * @param {Object} settings
+   * @param {function} callback Receives the optimized image, or the
+   *   original file if it couldn't be improved
+   */
+  var optimize = function (file, settings, callback) {
+    if (SUPPORTED_TYPES.indexOf(file.type) === -1 || window.FileReader === undefined || window.URL === undefined) {
+      callback(file);
+      return;
+    }
+
+    readOrientation(file, function (orientation) {
+      loadImage(file, function (image) {
+        if (!image) {
+          callback(file); // Leave it to the server to reject the file
+          return;
+        }
+
+        var width = image.naturalWidth;
+        var height = image.naturalHeight;
+
+        // The limits apply to the image once it is turned the right way
+        var isTurned = (orientation >= 5);
+        var scale = Math.min(1,
+          settings.maxWidth / (isTurned ? height : width),
+          settings.maxHeight / (isTurned ? width : height));
+        if (scale === 1 && orientation === 1) {
+          callback(file); // Nothing to improve
+          return;
+        }
+
+        var canvas = draw(image, Math.round(width * scale), Math.round(height * scale), orientation);
+        H5PEditor.ImageEditingPopup.canvasToBlob(canvas, file.type, settings.quality, function (blob) {
+          if (!blob || (orientation === 1 && blob.size >= file.size)) {
+            callback(file);
+            return;
+          }
+
+          blob.name = file.name;
+          callback(blob);
+        });
+      });
+    });
+  };
+
+  return {
+
+    /**
+     * Default max width of uploaded images.
+     *
+     * @constant {number}
+     */
+    MAX_WIDTH: 1920,
+
+    /**
+     * Default max height of uploaded images.
+     *
+     * @constant {number}
+     */
+    MAX_HEIGHT: 1920,
+
+    /**
+     * Default quality used when re-encoding JPEG images.
+     *
+     * @constant {number}
+     */
+    QUALITY: 0.85,
+
+    /**
+     * Get the settings used to optimize images uploaded to the given field.
+     * Images are optimized if the field has an optimize property in its
+     * semantics, or if H5PIntegration.editor.imageOptimization is set and
+     * the field doesn't have optimize set to false.
+     *
+     * @param {Object} field
+     * @return {Object|undefined} With maxWidth, maxHeight and quality
+     */
+    getSettings: function (field) {
+      var global = H5PIntegration.editor.imageOptimization;
+      if (field.optimize === false || (field.optimize === undefined && !global)) {
+        return;
+      }
+
+      return $.extend({
+        maxWidth: H5PEditor.ImageOptimizer.MAX_WIDTH,
+        maxHeight: H5PEditor.ImageOptimizer.MAX_HEIGHT,
+        quality: H5PEditor.ImageOptimizer.QUALITY
+      }, global, field.optimize);
+    },
+
+    /**
+     * Downscale large images and turn them the right way. The images are
+     * processed one at a time to keep the memory usage down.
+     *
+     * @param {File[]} files
+     * @param {Object} settings See getSettings
+     * @param {function} callback Receives the optimized files in the same order
+     */
+    optimizeFiles: function (files, settings, callback) {
+      var optimized = [];
+      var next = function () {
+        if (optimized.length === files.length) {
+          callback(optimized);
+          return;
+        }
+
+        optimize(files[optimized.length], settings, function (file) {
+          optimized.push(file);
+          next();
+        });
+      };
+      next();
+    }
+  };
+})(H5P.jQuery);
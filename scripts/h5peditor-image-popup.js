@@ -178,17 +178,7 @@ H5PEditor.ImageEditingPopup = (function ($, EventDispatcher) {
           canvas.removeEventListener('crop:update', convertData, false);
         };
 
-        if (self.darkroom.canvas.contextContainer.canvas.toBlob) {
-          // Export canvas as blob to save processing time and bandwidth
-          self.darkroom.canvas.contextContainer.canvas.toBlob(finished, self.mime);
-        }
-        else {
-          // Blob export not supported by canvas, export as dataURL and export
-          // to blob before uploading (saves processing resources on server)
-          finished(dataURLtoBlob(self.darkroom.canvas.toDataURL({
-            format: self.mime.split('/')[1]
-          })));
-        }
+        ImageEditingPopup.canvasToBlob(self.darkroom.canvas.contextContainer.canvas, self.mime, undefined, finished);
       };
 
       // Check if image has changed
@@ -383,6 +373,26 @@ H5PEditor.ImageEditingPopup = (function ($, EventDispatcher) {
     popupHeaderHeight: 59
   };
 
+  /**
+   * Export the content of a canvas as a blob.
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {string} mime
+   * @param {number} [quality] Between 0 and 1, for lossy formats
+   * @param {function} callback Receives the blob
+   */
+  ImageEditingPopup.canvasToBlob = function (canvas, mime, quality, callback) {
+    if (canvas.toBlob) {
+      // Export canvas as blob to save processing time and bandwidth
+      canvas.toBlob(callback, mime, quality);
+    }
+    else {
+      // Blob export not supported by canvas, export as dataURL and export
+      // to blob before uploading (saves processing resources on server)
+      callback(dataURLtoBlob(canvas.toDataURL(mime, quality)));
+    }
+  };
+
   /**
    * Convert a data URL(base64) into blob.
    *
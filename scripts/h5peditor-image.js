@@ -105,6 +105,21 @@ ns.widgets.image.prototype.appendTo = function ($wrapper) {
   this.$errors = $container.find('.h5p-errors');
   this.addFile();
 
+  /**
+   * Upload a new original image.
+   *
+   * @private
+   * @param {File[]} files
+   */
+  var uploadImage = function (files) {
+    self.isOriginalImage = true;
+    self.uploadFiles(files);
+  };
+
+  // Images can also be dropped onto the thumbnail or pasted, e.g. screenshots
+  self.addDropZone(this.$file, uploadImage);
+  self.addPasteTarget($container, uploadImage);
+
   var $dialog = $container.find('.h5p-editor-dialog');
   $container.find('.h5p-copyright-button').add($dialog.find('.h5p-close')).click(function () {
     $dialog.toggleClass('h5p-open');
@@ -284,7 +299,8 @@ ns.widgets.image.prototype.validate = function () {
  * Remove this item.
  */
 ns.widgets.image.prototype.remove = function () {
-  // TODO: Check what happens when removed during upload.
+  // Make sure the upload doesn't change the params of a removed item
+  this.abortUploads();
   this.$file.parent().remove();
 };
 
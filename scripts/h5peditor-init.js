@@ -67,6 +67,9 @@
           // Set params
           $params.val(content.params);
 
+          // Keep the draft until the save has succeeded
+          h5peditor.submitDraft();
+
           // Submit form data
           formIsUpdated = true;
           $form.submit();
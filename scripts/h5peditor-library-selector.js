@@ -283,9 +283,11 @@ ns.LibrarySelector.prototype.pasteContent = function () {
  *
  * @param {String} library
  * @param {Object} params Pass in params to semantics
+ * @param {Object} [metadata]
+ * @param {H5PEditor.History} [history] Keep the history of the previous form
  * @returns {unresolved}
  */
-ns.LibrarySelector.prototype.loadSemantics = function (library, params, metadata) {
+ns.LibrarySelector.prototype.loadSemantics = function (library, params, metadata, history) {
   var that = this;
 
   if (this.form !== undefined) {
@@ -333,8 +335,26 @@ ns.LibrarySelector.prototype.loadSemantics = function (library, params, metadata
       that.form = new ns.Form(
         library,
         ns.libraryCache[library].languages,
-        defaultLanguage
+        defaultLanguage,
+        history
       );
+      if (history === undefined) {
+        // Rebuild the form when a change is undone or redone
+        var formHistory = that.form.history;
+        formHistory.on('restore', function (event) {
+          H5PEditor.Html.removeWysiwyg();
+          that.loadSemantics(library, event.data.params, event.data.metadata, formHistory);
+        });
+      }
+
+      // Expose changes to the content
+      var relayEvent = function (event) {
+        that.trigger(event.type, event.data);
+      };
+      that.form.on('change', relayEvent);
+      that.form.on('libraryChanged', relayEvent);
+      that.form.on('validationStateChanged', relayEvent);
+
       that.form.replace($loading);
       that.form.currentLibrary = library;
       that.form.processSemantics(semantics, overrideParams, metadata);
@@ -369,23 +389,7 @@ ns.LibrarySelector.prototype.getParams = function () {
   }
 
   // Only return if all fields has validated.
-  //var valid = true;
-
-  if (this.form.metadataForm.children !== undefined) {
-    for (var i = 0; i < this.form.metadataForm.children.length; i++) {
-      if (this.form.metadataForm.children[i].validate() === false) {
-        //valid = false;
-      }
-    }
-  }
-
-  if (this.form.children !== undefined) {
-    for (var i = 0; i < this.form.children.length; i++) {
-      if (this.form.children[i].validate() === false) {
-        //valid = false;
-      }
-    }
-  }
+  this.form.validate();
 
   //return valid ? this.form.params : false;
   return this.form.params; // TODO: Switch to the line above when we are able to tell the user where the validation fails
@@ -252,6 +252,8 @@ ns.Library.prototype.replaceContent = function (clipboard) {
 
   // Load library on confirmation
   ns.confirmReplace(this.params.library, this.$select.offset().top, function () {
+    var oldParams = ns.$.extend({}, self.params);
+
     // Update UI
     self.$select.val(clipboard.generic.library);
 
@@ -269,6 +271,10 @@ ns.Library.prototype.replaceContent = function (clipboard) {
       }
     }
 
+    var path = ns.getFieldPath(self);
+    ns.triggerChange(self, path, oldParams, self.params);
+    ns.triggerLibraryChange(self, path, self.params.library);
+
     // Load form
     self.loadLibrary(clipboard.generic.library, true);
   });
@@ -362,6 +368,7 @@ ns.Library.prototype.librariesLoaded = function (libList) {
  */
 ns.Library.prototype.loadLibrary = function (libraryName, preserveParams) {
   var that = this;
+  var oldParams = ns.$.extend({}, this.params);
 
   this.removeChildren();
 
@@ -376,6 +383,7 @@ ns.Library.prototype.loadLibrary = function (libraryName, preserveParams) {
     this.$pasteButton.text(ns.t('core', 'pasteButton'));
     this.$pasteButton.attr('title', ns.t('core', 'pasteFromClipboard'));
     this.change();
+    ns.triggerChange(this, ns.getFieldPath(this), oldParams, this.params);
     return;
   }
 
@@ -386,6 +394,12 @@ ns.Library.prototype.loadLibrary = function (libraryName, preserveParams) {
     that.currentLibrary = libraryName;
     that.params.library = libraryName;
 
+    // Building the form from existing params is not a change by itself
+    const history = preserveParams ? ns.findHistory(that.parent) : undefined;
+    if (history !== undefined) {
+      history.pause();
+    }
+
     if (preserveParams === undefined || !preserveParams) {
       // Reset params
       delete that.params.subContentId;
@@ -447,6 +461,13 @@ ns.Library.prototype.loadLibrary = function (libraryName, preserveParams) {
     else {
       that.runChangeCallback = true;
     }
+
+    if (history !== undefined) {
+      history.resume();
+    }
+    else {
+      ns.triggerChange(that, ns.getFieldPath(that), oldParams, that.params);
+    }
   });
 };
 
@@ -505,6 +526,8 @@ ns.Library.prototype.change = function (callback) {
     for (i = 0; i < this.changes.length; i++) {
       this.changes[i](library);
     }
+
+    ns.triggerLibraryChange(this, ns.getFieldPath(this), this.params.library);
   }
 };
 
@@ -619,6 +642,9 @@ ns.Library.prototype.removeChildren = function () {
  * @param {Function} task
  */
 ns.Library.prototype.forEachChild = function (task) {
+  if (this.children === undefined) {
+    return; // Library not loaded yet
+  }
   for (var i = 0; i < this.children.length; i++) {
     if (task(this.children[i], i)) {
       return;
@@ -1,6 +1,49 @@
 /* global ns */
 H5PEditor.ListEditor = (function ($) {
 
+  /**
+   * Identifies list items on the clipboard.
+   *
+   * @constant {string}
+   */
+  var CLIPBOARD_KEY = 'H5PEditor.List';
+
+  /**
+   * Describe the structure of a field's params, making sure items are only
+   * pasted into lists using the same structure.
+   *
+   * @private
+   * @param {Object} field Semantics
+   * @returns {string}
+   */
+  var getSignature = function (field) {
+    var signature = field.type + ':' + field.name;
+    if (field.type === 'group') {
+      signature += '(' + field.fields.map(getSignature).join(',') + ')';
+    }
+    else if (field.type === 'list') {
+      signature += '(' + getSignature(field.field) + ')';
+    }
+    return signature;
+  };
+
+  /**
+   * Display a short message next to the given button.
+   *
+   * @private
+   * @param {Element} button
+   * @param {string} message
+   */
+  var toast = function (button, message) {
+    ns.attachToastTo(button, message, {
+      position: {
+        horizontal: 'center',
+        vertical: 'above',
+        noOverflowX: true
+      }
+    });
+  };
+
   /**
    * Draws the list.
    *
@@ -24,6 +67,27 @@ H5PEditor.ListEditor = (function ($) {
     // Used when dragging items around
     var adjustX, adjustY, marginTop, formOffset;
 
+    // Reports the new position of moved items to screen readers
+    var $announcer = $('<div/>', {
+      'class': 'h5peditor-list-announcer',
+      'aria-live': 'assertive'
+    });
+
+    /**
+     * Tell screen reader users where the item is.
+     *
+     * @private
+     * @param {string} key Of the message
+     * @param {jQuery} $item
+     */
+    var announce = function (key, $item) {
+      $announcer.text(H5PEditor.t('core', key, {
+        ':entity': entity.charAt(0).toUpperCase() + entity.slice(1),
+        ':position': $item.index() + 1,
+        ':total': $list.children('.h5p-li').length
+      }));
+    };
+
     /**
      * @private
      * @param {jQuery} $item
@@ -63,6 +127,615 @@ H5PEditor.ListEditor = (function ($) {
       }
     };
 
+    /**
+     * Create the area where files can be dropped to add an item for each of
+     * them.
+     *
+     * @private
+     * @returns {jQuery}
+     */
+    var createDropZone = function () {
+      var defaultText = H5PEditor.t('core', 'dropFilesToAddItems', {':entity': entity});
+
+      // Results waiting for the files before them to finish uploading
+      var results = [];
+      var nextIndex = 0;
+
+      // Number of files uploading or waiting to be added as items
+      var pending = 0;
+
+      var $wrapper = $('<div/>', {
+        'class': 'h5peditor-list-upload'
+      });
+
+      var $zone = $('<div/>', {
+        'class': 'h5peditor-list-upload-zone',
+        role: 'button',
+        tabindex: 0,
+        appendTo: $wrapper
+      });
+
+      var $text = $('<div/>', {
+        'class': 'h5peditor-list-upload-text',
+        text: defaultText,
+        'aria-live': 'polite',
+        appendTo: $zone
+      });
+
+      var $cancel = $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-button-textual h5peditor-list-upload-cancel',
+        text: H5PEditor.t('core', 'cancelUpload'),
+        click: function () {
+          fileUploader.abortUploads();
+        },
+        appendTo: $wrapper
+      }).hide();
+
+      var $errors = $('<div/>', {
+        'class': 'h5p-errors',
+        appendTo: $wrapper
+      });
+
+      /**
+       * Upload the files that fit in the list.
+       *
+       * @private
+       * @param {FileList} files
+       */
+      var uploadFiles = function (files) {
+        if (!fileUploader.isUploading()) {
+          $errors.html('');
+        }
+
+        files = Array.prototype.filter.call(files, function (file) {
+          if (!fileUploader.isAllowedType(file)) {
+            $errors.append(H5PEditor.createError(H5PEditor.t('core', 'fileTypeNotAllowed', {':filename': file.name})));
+            return false;
+          }
+          return true;
+        });
+
+        var capacity = list.getRemainingCapacity() - pending;
+        if (files.length > capacity) {
+          $errors.append(H5PEditor.createError(H5PEditor.t('core', 'tooManyFilesForList', {':number': capacity})));
+          files = files.slice(0, capacity);
+        }
+
+        pending += files.length;
+        fileUploader.uploadFiles(files);
+      };
+
+      /**
+       * Add an item for each uploaded file, in the same order as the files
+       * were selected.
+       *
+       * @private
+       */
+      var addItems = function () {
+        while (results[nextIndex] !== undefined) {
+          var result = results[nextIndex];
+          pending--;
+          nextIndex++;
+
+          if (result.error) {
+            if (!result.aborted) {
+              $errors.append(H5PEditor.createError(result.file.name + ': ' + result.error));
+            }
+            continue;
+          }
+
+          var params = {
+            path: result.data.path,
+            mime: result.data.mime
+          };
+          if (result.data.width !== undefined) {
+            params.width = result.data.width;
+            params.height = result.data.height;
+          }
+          list.addItem(params);
+        }
+      };
+
+      fileUploader.addDropZone($zone, uploadFiles);
+      $zone
+        .on('click', function () {
+          fileUploader.openFileSelector(uploadFiles);
+        })
+        .on('keydown', function (event) {
+          if (event.which === 13 || event.which === 32) { // Enter or Space
+            event.preventDefault();
+            fileUploader.openFileSelector(uploadFiles);
+          }
+        });
+
+      fileUploader.on('upload', function () {
+        $zone.addClass('uploading');
+        $text.text(H5PEditor.t('core', 'uploading'));
+        $cancel.show();
+      });
+
+      fileUploader.on('uploadProgress', function (event) {
+        $text.text(H5PEditor.t('core', 'uploading') + ' ' + Math.round(event.data * 100) + ' %');
+      });
+
+      fileUploader.on('uploadComplete', function (event) {
+        results[event.data.index] = event.data;
+        addItems();
+      });
+
+      fileUploader.on('uploadBatchComplete', function () {
+        results = [];
+        nextIndex = 0;
+        pending = 0;
+
+        $zone.removeClass('uploading');
+        $text.text(defaultText);
+        $cancel.hide();
+      });
+
+      return $wrapper;
+    };
+
+    /**
+     * Create the toolbar used to select several items and remove, move or
+     * copy them at once.
+     *
+     * @private
+     * @returns {Object} With the toolbar element and a function updating it
+     *   when the selection changes
+     */
+    var createBulkActions = function () {
+      var signature = getSignature(list.getField());
+
+      var $wrapper = $('<div/>', {
+        'class': 'h5peditor-list-bulk'
+      });
+
+      var $toggle = ns.createButton('h5peditor-list-bulk-toggle', H5PEditor.t('core', 'selectItems'), function () {
+        setSelecting(!$list.hasClass('h5peditor-list-selecting'));
+      }, true).attr('aria-pressed', 'false').appendTo($wrapper);
+
+      var $actions = $('<div/>', {
+        'class': 'h5peditor-list-bulk-actions',
+        appendTo: $wrapper
+      }).hide();
+
+      var $count = $('<span/>', {
+        'class': 'h5peditor-list-bulk-count',
+        'aria-live': 'polite',
+        appendTo: $actions
+      });
+
+      /**
+       * Get the checkboxes of this list's items, not those of nested lists.
+       *
+       * @private
+       * @returns {jQuery}
+       */
+      var getCheckboxes = function () {
+        return $list.children('.h5p-li').children('.list-item-title-bar').children('.h5peditor-list-select');
+      };
+
+      /**
+       * Get the selected items in the order they appear in the list.
+       *
+       * @private
+       * @returns {jQuery}
+       */
+      var getSelected = function () {
+        return getCheckboxes().filter(':checked').closest('.h5p-li');
+      };
+
+      /**
+       * Turn selection mode on or off. Items are deselected when it is
+       * turned off.
+       *
+       * @private
+       * @param {boolean} selecting
+       */
+      var setSelecting = function (selecting) {
+        $list.toggleClass('h5peditor-list-selecting', selecting);
+        $toggle.attr('aria-pressed', selecting ? 'true' : 'false');
+        $actions.toggle(selecting);
+        if (!selecting) {
+          getCheckboxes().prop('checked', false);
+        }
+        update();
+      };
+
+      /**
+       * Create a button acting on the selected items.
+       *
+       * @private
+       * @param {string} id
+       * @param {string} label
+       * @param {function} handler
+       * @returns {jQuery}
+       */
+      var createAction = function (id, label, handler) {
+        return ns.createButton('h5peditor-list-bulk-action h5peditor-list-bulk-' + id, label, function () {
+          if (!this.classList.contains('disabled')) {
+            handler.call(this, getSelected());
+          }
+        }, true).appendTo($actions);
+      };
+
+      /**
+       * Move the selected items to the top or the bottom of the list,
+       * keeping their order.
+       *
+       * @private
+       * @param {jQuery} $selected
+       * @param {boolean} toTop
+       */
+      var moveSelected = function ($selected, toTop) {
+        var last = $list.children('.h5p-li').length - 1;
+
+        // Prevent wysiwyg becoming unresponsive
+        H5PEditor.Html.removeWysiwyg();
+
+        // Start with the item closest to its new position
+        for (var i = 0; i < $selected.length; i++) {
+          var $item = $selected.eq(toTop ? i : $selected.length - 1 - i);
+          var currentIndex = $item.index();
+          var newIndex = (toTop ? i : last - i);
+          if (currentIndex === newIndex) {
+            continue;
+          }
+
+          var $target = $list.children('.h5p-li').eq(newIndex);
+          if (toTop) {
+            $item.insertBefore($target);
+          }
+          else {
+            $item.insertAfter($target);
+          }
+          list.moveItem(currentIndex, newIndex);
+        }
+
+        $announcer.text(H5PEditor.t('core', toTop ? 'listItemsMovedToTop' : 'listItemsMovedToBottom', {':number': $selected.length}));
+      };
+
+      /**
+       * Get the items on the clipboard, if they fit in this list.
+       *
+       * @private
+       * @returns {Array|undefined}
+       */
+      var getClipboardItems = function () {
+        var clipboard = H5P.getClipboard();
+        if (clipboard && clipboard.from === CLIPBOARD_KEY && clipboard.specific.signature === signature) {
+          return clipboard.specific.items;
+        }
+      };
+
+      ns.createButton('h5peditor-list-bulk-select-all', H5PEditor.t('core', 'selectAllItems'), function () {
+        // Items hidden by the filter are left out
+        getCheckboxes().filter(function () {
+          return !$(this).closest('.h5p-li').hasClass('h5peditor-list-filtered');
+        }).prop('checked', true);
+        update();
+      }, true).appendTo($actions);
+
+      createAction('move-top', H5PEditor.t('core', 'moveItemsToTop'), function ($selected) {
+        moveSelected($selected, true);
+      });
+
+      createAction('move-bottom', H5PEditor.t('core', 'moveItemsToBottom'), function ($selected) {
+        moveSelected($selected, false);
+      });
+
+      if (window.localStorage) {
+        createAction('copy', H5PEditor.t('core', 'copyButton'), function ($selected) {
+          // Make sure the text being edited is stored
+          H5PEditor.Html.removeWysiwyg();
+
+          var values = list.getValue() || [];
+          var items = [];
+          for (var i = 0; i < $selected.length; i++) {
+            items.push(values[$selected.eq(i).index()]);
+          }
+
+          // Leave out the generic 'action' used by H5P content, the items
+          // can only be pasted into lists
+          H5P.clipboardify(new H5P.ClipboardItem({
+            signature: signature,
+            items: items
+          }, 'action', CLIPBOARD_KEY));
+
+          toast(this, H5PEditor.t('core', 'listItemsCopied', {':number': items.length}));
+        });
+      }
+
+      createAction('remove', H5PEditor.t('core', 'removeSelectedItems'), function ($selected) {
+        var removable = list.getRemovableCount();
+        if ($selected.length > removable) {
+          toast(this, H5PEditor.t('core', 'tooManyItemsToRemove', {':number': removable}));
+          return;
+        }
+
+        var confirmRemovalDialog = new H5P.ConfirmationDialog({
+          dialogText: H5PEditor.t('core', 'confirmRemovalOfItems', {':number': $selected.length})
+        }).appendTo(document.body);
+
+        confirmRemovalDialog.on('confirmed', function () {
+          // Start from the end to keep the index of the items not yet removed
+          for (var i = $selected.length - 1; i >= 0; i--) {
+            list.removeItem($selected.eq(i).index());
+            $selected.eq(i).remove();
+          }
+          update();
+          filter.update();
+        });
+        confirmRemovalDialog.show($(this).offset().top);
+      });
+
+      var $paste;
+      if (window.localStorage) {
+        $paste = ns.createButton('h5peditor-list-bulk-paste', H5PEditor.t('core', 'pasteListItems'), function () {
+          var items = getClipboardItems();
+          if (items === undefined) {
+            toast(this, H5PEditor.t('core', 'pasteNoListItems'));
+            return;
+          }
+
+          var capacity = list.getRemainingCapacity();
+          if (items.length > capacity) {
+            toast(this, H5PEditor.t('core', 'tooManyItemsForList', {':number': capacity}));
+            items = items.slice(0, capacity);
+          }
+
+          for (var i = 0; i < items.length; i++) {
+            // The pasted items are copies, and must not share sub content IDs
+            list.addItem(items[i] === null ? undefined : H5PEditor.renewSubContentIds(items[i]));
+          }
+        }, true).insertAfter($toggle);
+      }
+
+      /**
+       * Update the paste button when something is copied.
+       *
+       * @private
+       */
+      var clipboardChanged = function () {
+        update();
+      };
+
+      /**
+       * Update the buttons after the selection, the list or the clipboard
+       * has changed.
+       *
+       * @private
+       */
+      var update = function () {
+        var selected = getSelected().length;
+        $count.text(H5PEditor.t('core', 'listItemsSelected', {':number': selected}));
+        $actions.children('.h5peditor-list-bulk-action')
+          .toggleClass('disabled', !selected)
+          .attr('aria-disabled', selected ? 'false' : 'true');
+
+        if ($paste !== undefined) {
+          var canPaste = (getClipboardItems() !== undefined && list.getRemainingCapacity() > 0);
+          $paste
+            .toggleClass('disabled', !canPaste)
+            .attr('aria-disabled', canPaste ? 'false' : 'true');
+        }
+      };
+
+      list.on('addedItem', update);
+      if ($paste !== undefined) {
+        H5P.externalDispatcher.on('datainclipboard', clipboardChanged);
+      }
+      update();
+
+      return {
+        $wrapper: $wrapper,
+        update: update,
+        remove: function () {
+          H5P.externalDispatcher.off('datainclipboard', clipboardChanged);
+          $wrapper.remove();
+        }
+      };
+    };
+
+    var bulkActions = createBulkActions();
+
+    /**
+     * Create the box used to find items in long lists.
+     *
+     * @private
+     * @returns {Object} With the filter element and a function updating it
+     *   when items are added or removed
+     */
+    var createFilter = function () {
+      var $wrapper = $('<div/>', {
+        'class': 'h5peditor-list-filter'
+      }).hide();
+
+      var $input = $('<input/>', {
+        type: 'search',
+        'class': 'h5peditor-text h5peditor-list-filter-input',
+        placeholder: H5PEditor.t('core', 'filterListItems', {':entity': entity}),
+        'aria-label': H5PEditor.t('core', 'filterListItems', {':entity': entity}),
+        on: {
+          input: function () {
+            apply();
+          },
+          keydown: function (event) {
+            if (event.which === 27 && $input.val() !== '') { // Escape
+              $input.val('');
+              apply();
+              event.preventDefault();
+            }
+          }
+        },
+        appendTo: $wrapper
+      });
+
+      var $status = $('<div/>', {
+        'class': 'h5peditor-list-filter-status',
+        'aria-live': 'polite',
+        appendTo: $wrapper
+      });
+
+      // Expanded state of the group items from before the filter was used
+      var expandedState;
+
+      /**
+       * Mark where the query is found in the item.
+       *
+       * @private
+       * @param {jQuery} $item
+       * @param {string} [query] Removes the marks if not set
+       */
+      var highlight = function ($item, query) {
+        // Group titles are plain text which can be split around the matches
+        $item.children('.list-item-title-bar').children('.title').each(function () {
+          var $title = $(this);
+          var text = $title.text();
+          $title.text(text);
+
+          var start = (query === undefined ? -1 : text.toLowerCase().indexOf(query));
+          if (start !== -1) {
+            $title.empty().append(
+              document.createTextNode(text.substr(0, start)),
+              $('<mark/>', {text: text.substr(start, query.length)}),
+              document.createTextNode(text.substr(start + query.length))
+            );
+          }
+        });
+
+        $item.find('input.h5peditor-text, textarea, .ckeditor').each(function () {
+          var $field = $(this);
+          var text = ($field.is('.ckeditor') ? $field.text() : $field.val());
+          $field.toggleClass('h5peditor-list-filter-match', query !== undefined && text.toLowerCase().indexOf(query) !== -1);
+        });
+      };
+
+      /**
+       * Remember which group items are expanded, so that they can be
+       * restored when the filter is cleared.
+       *
+       * @private
+       */
+      var saveExpandedState = function () {
+        expandedState = [];
+        list.forEachChild(function (child) {
+          if (child instanceof ns.Group && child.$group !== undefined) {
+            expandedState.push({
+              group: child,
+              expanded: child.$group.hasClass('expanded')
+            });
+          }
+        });
+      };
+
+      /**
+       * Show all the items again and expand or collapse them the way they
+       * were before the filter was used.
+       *
+       * @private
+       */
+      var clear = function () {
+        $list.children('.h5p-li').each(function () {
+          var $item = $(this).removeClass('h5peditor-list-filtered');
+          highlight($item);
+        });
+        $status.text('');
+
+        if (expandedState === undefined) {
+          return;
+        }
+        for (var i = 0; i < expandedState.length; i++) {
+          var group = expandedState[i].group;
+          if (group.$group.hasClass('expanded') !== expandedState[i].expanded) {
+            if (expandedState[i].expanded) {
+              group.expand();
+            }
+            else {
+              group.collapse();
+            }
+          }
+        }
+        expandedState = undefined;
+      };
+
+      /**
+       * Hide the items not matching the query. The order and params of the
+       * items are left as they are.
+       *
+       * @private
+       */
+      var apply = function () {
+        var query = $input.val().trim().toLowerCase();
+        if (query === '') {
+          clear();
+          return;
+        }
+        if (expandedState === undefined) {
+          saveExpandedState();
+        }
+
+        var field = list.getField();
+        var values = list.getValue() || [];
+        var $items = $list.children('.h5p-li');
+        var matches = 0;
+
+        list.forEachChild(function (child, index) {
+          var texts = [];
+          if (child instanceof ns.Group && child.getSummary() !== undefined) {
+            texts.push(child.getSummary());
+          }
+          ns.collectText(field, values[index], texts);
+
+          var isMatch = (texts.join('\n').toLowerCase().indexOf(query) !== -1);
+          if (isMatch) {
+            matches++;
+            if (child instanceof ns.Group && child.$group !== undefined && !child.$group.hasClass('expanded')) {
+              // Display where the query was found
+              child.expand();
+            }
+          }
+
+          var $item = $items.eq(index).toggleClass('h5peditor-list-filtered', !isMatch);
+          highlight($item, isMatch ? query : undefined);
+        });
+
+        $status.text(matches ?
+          H5PEditor.t('core', 'listFilterMatches', {':number': matches, ':total': $items.length}) :
+          H5PEditor.t('core', 'listFilterNoMatches'));
+      };
+
+      /**
+       * Only display the filter for long lists, or while it is used.
+       *
+       * @private
+       */
+      var update = function () {
+        var isLong = ($list.children('.h5p-li').length > ListEditor.FILTER_MIN_ITEMS);
+        $wrapper.toggle(isLong || $input.val() !== '');
+      };
+
+      list.on('addedItem', update);
+
+      return {
+        $wrapper: $wrapper,
+        update: update
+      };
+    };
+
+    var filter = createFilter();
+
+    // Lists of images and files can be filled by uploading several files
+    var $dropZone, fileUploader;
+    if (list.acceptsFiles()) {
+      fileUploader = new ns.FileUploader(list.getField(), {
+        multiple: true
+      });
+      $dropZone = createDropZone();
+    }
+
     /**
      * Default confirm handler.
      *
@@ -102,23 +775,24 @@ H5PEditor.ListEditor = (function ($) {
      * @param {Object} item
      */
     self.addItem = function (item) {
-      var $placeholder, mouseDownAt;
+      var $placeholder, mouseDownAt, grabbedAt, droppedAt;
       var $item = $('<li/>', {
         'class' : 'h5p-li',
       });
 
       /**
-       * Mouse move callback
+       * Pointer move callback
        *
        * @private
        * @param {Object} event
        */
       var move = function (event) {
+        var pointer = event.originalEvent;
         if (mouseDownAt) {
           // Have not started moving yet
 
-          if (! (event.pageX > mouseDownAt.x + 5 || event.pageX < mouseDownAt.x - 5 ||
-                 event.pageY > mouseDownAt.y + 5 || event.pageY < mouseDownAt.y - 5) ) {
+          if (! (pointer.pageX > mouseDownAt.x + 5 || pointer.pageX < mouseDownAt.x - 5 ||
+                 pointer.pageY > mouseDownAt.y + 5 || pointer.pageY < mouseDownAt.y - 5) ) {
             return; // Not ready to start moving
           }
 
@@ -129,8 +803,8 @@ H5PEditor.ListEditor = (function ($) {
           mouseDownAt = null;
 
           var offset = $item.offset();
-          adjustX = event.pageX - offset.left;
-          adjustY = event.pageY - offset.top;
+          adjustX = pointer.pageX - offset.left;
+          adjustY = pointer.pageY - offset.top;
           marginTop = parseInt($item.css('marginTop'));
           formOffset = $list.offsetParent().offset();
           // TODO: Couldn't formOffset and margin be added?
@@ -151,20 +825,20 @@ H5PEditor.ListEditor = (function ($) {
           }).insertBefore($item);
         }
 
-        moveItem($item, $placeholder, event.pageX, event.pageY);
+        moveItem($item, $placeholder, pointer.pageX, pointer.pageY);
       };
 
       /**
-       * Mouse button release callback
+       * Pointer release callback
        *
        * @private
        */
       var up = function () {
 
-        // Stop listening for mouse move events
+        // Stop listening for pointer move events
         H5P.$window
-          .unbind('mousemove', move)
-          .unbind('mouseup', up);
+          .off('pointermove', move)
+          .off('pointerup pointercancel', up);
 
         // Enable text select again
         H5P.$body
@@ -183,6 +857,10 @@ H5PEditor.ListEditor = (function ($) {
             height: 'auto'
           });
           $placeholder.remove();
+          announce('listItemDropped', $item);
+
+          // The browser clicks the grab button after the drag
+          droppedAt = Date.now();
 
           if (item instanceof H5PEditor.Group) {
             // Avoid groups expand/collapse toggling
@@ -192,24 +870,26 @@ H5PEditor.ListEditor = (function ($) {
       };
 
       /**
-       * Mouse button down callback
+       * Pointer down callback. Works with mouse, touch and pen.
        *
        * @private
        */
       var down = function (event) {
-        if (event.which !== 1) {
-          return; // Only allow left mouse button
+        var pointer = event.originalEvent;
+        if (!pointer.isPrimary || pointer.button !== 0) {
+          return; // Only allow left mouse button or first finger
         }
 
+        droppedAt = undefined;
         mouseDownAt = {
-          x: event.pageX,
-          y: event.pageY
+          x: pointer.pageX,
+          y: pointer.pageY
         };
 
-        // Start listening for mouse move events
+        // Start listening for pointer move events
         H5P.$window
-          .mousemove(move)
-          .mouseup(up);
+          .on('pointermove', move)
+          .on('pointerup pointercancel', up);
 
         // Prevent text select
         H5P.$body
@@ -224,6 +904,57 @@ H5PEditor.ListEditor = (function ($) {
           };
       };
 
+      /**
+       * Pick up or drop the item using the keyboard.
+       *
+       * @private
+       */
+      var toggleGrab = function () {
+        if (droppedAt !== undefined && Date.now() - droppedAt < 1000) {
+          droppedAt = undefined;
+          return; // The click ending a drag
+        }
+        droppedAt = undefined;
+
+        if (grabbedAt === undefined) {
+          grabbedAt = $item.index();
+          $item.addClass('grabbed');
+          $grab.attr('aria-pressed', 'true');
+          announce('listItemGrabbed', $item);
+        }
+        else {
+          release();
+          announce('listItemDropped', $item);
+        }
+      };
+
+      /**
+       * Stop moving the item using the keyboard.
+       *
+       * @private
+       */
+      var release = function () {
+        grabbedAt = undefined;
+        $item.removeClass('grabbed');
+        $grab.attr('aria-pressed', 'false');
+      };
+
+      /**
+       * Put the item back where it was picked up.
+       *
+       * @private
+       */
+      var cancelGrab = function () {
+        while ($item.index() > grabbedAt) {
+          moveItemUp();
+        }
+        while ($item.index() < grabbedAt) {
+          moveItemDown();
+        }
+        release();
+        announce('listItemMoveCanceled', $item);
+      };
+
       /**
        * Order current list item up
        *
@@ -262,6 +993,33 @@ H5PEditor.ListEditor = (function ($) {
         list.moveItem(currentIndex, currentIndex + 1);
       };
 
+      /**
+       * Add a copy of the item right after it.
+       *
+       * @private
+       * @param {Element} button
+       */
+      var duplicateItem = function (button) {
+        // Make sure the text being edited is stored
+        H5PEditor.Html.removeWysiwyg();
+
+        var index = $item.index();
+        var params = H5PEditor.renewSubContentIds((list.getValue() || [])[index]);
+        if (!list.addItem(params)) {
+          toast(button, H5PEditor.t('core', 'listIsFull'));
+          return;
+        }
+
+        // The copy is added at the end of the list
+        var $copy = $list.children('.h5p-li').last();
+        var copyIndex = $copy.index();
+        if (copyIndex !== index + 1) {
+          $copy.insertAfter($item);
+          list.moveItem(copyIndex, index + 1);
+        }
+        announce('listItemDuplicated', $copy);
+      };
+
       // List item title bar
       var $titleBar = $('<div/>', {
         'class': 'list-item-title-bar',
@@ -274,24 +1032,82 @@ H5PEditor.ListEditor = (function ($) {
         appendTo: $titleBar
       });
 
+      // Checkbox used to select the item when acting on several items
+      $('<input/>', {
+        type: 'checkbox',
+        'class': 'h5peditor-list-select',
+        'aria-label': H5PEditor.t('core', 'selectItem', {':entity': entity}),
+        change: bulkActions.update,
+        prependTo: $titleBar
+      });
+
       // Append order button
       var $orderGroup = $('<div/>', {
         class : 'order-group',
         appendTo: $listActions
       });
 
+      // Append grab button, used for moving the item with pointer or keyboard
+      var $grab = H5PEditor.createButton('order-grab', H5PEditor.t('core', 'moveItem', {':entity': entity}), toggleGrab)
+        .attr('aria-pressed', 'false')
+        .on('pointerdown', down)
+        .on('keydown', function (event) {
+          if (grabbedAt === undefined) {
+            return;
+          }
+
+          switch (event.which) {
+            case 38: // Up
+              moveItemUp();
+              announce('listItemMoved', $item);
+              event.preventDefault();
+              break;
+            case 40: // Down
+              moveItemDown();
+              announce('listItemMoved', $item);
+              event.preventDefault();
+              break;
+            case 27: // Escape
+              cancelGrab();
+              event.preventDefault();
+              break;
+          }
+        })
+        .on('blur', function () {
+          if (grabbedAt !== undefined) {
+            release();
+            announce('listItemDropped', $item);
+          }
+        })
+        .prependTo($listActions);
+
       H5PEditor.createButton('order-up', H5PEditor.t('core', 'orderItemUp'), moveItemUp).appendTo($orderGroup);
       H5PEditor.createButton('order-down', H5PEditor.t('core', 'orderItemDown'), moveItemDown).appendTo($orderGroup);
 
+      H5PEditor.createButton('duplicate', H5PEditor.t('core', 'duplicateItem'), function () {
+        duplicateItem(this);
+      }).appendTo($listActions);
+
       H5PEditor.createButton('remove', H5PEditor.t('core', 'removeItem'), function () {
         confirmHandler(item, $item.index(), $(this).offset(), function () {
           list.removeItem($item.index());
           $item.remove();
+          bulkActions.update();
+          filter.update();
         });
       }).appendTo($listActions);
 
+      // Items of long lists only display their title until they are expanded.
+      // Items added after the list is displayed are created straight away.
+      var isDeferred = (item instanceof H5PEditor.Group && !$list.parent().length &&
+        (item.field.expanded === false || list.getItemCount() > ListEditor.DEFER_MIN_ITEMS));
+
       // Append new field item to content wrapper
       if (item instanceof H5PEditor.Group) {
+        if (isDeferred) {
+          item.deferChildren();
+        }
+
         // Append to item
         item.appendTo($item);
         $item.addClass('listgroup');
@@ -329,12 +1145,12 @@ H5PEditor.ListEditor = (function ($) {
       // Append item to list
       $item.appendTo($list);
 
-      if (item instanceof H5PEditor.Group && item.field.expanded !== false) {
+      if (item instanceof H5PEditor.Group && item.field.expanded !== false && !isDeferred) {
         // Good UX: automatically expand groups if not explicitly disabled by semantics
         item.expand();
       }
 
-      $titleBar.children('.h5peditor-label').mousedown(down);
+      $titleBar.children('.h5peditor-label').on('pointerdown', down);
     };
 
     /**
@@ -355,8 +1171,15 @@ H5PEditor.ListEditor = (function ($) {
      * @param {jQuery} $container
      */
     self.appendTo = function ($container) {
+      bulkActions.$wrapper.appendTo($container);
+      filter.$wrapper.appendTo($container);
       $list.appendTo($container);
+      $announcer.appendTo($container);
+      filter.update();
       $button.appendTo($container);
+      if ($dropZone !== undefined) {
+        $dropZone.appendTo($container);
+      }
     };
 
     /**
@@ -365,10 +1188,32 @@ H5PEditor.ListEditor = (function ($) {
      * @public
      */
     self.remove = function () {
+      bulkActions.remove();
+      filter.$wrapper.remove();
       $list.remove();
+      $announcer.remove();
       $button.remove();
+      if ($dropZone !== undefined) {
+        fileUploader.abortUploads();
+        $dropZone.remove();
+      }
     };
   }
 
+  /**
+   * Lists with more items than this get a box for filtering the items.
+   *
+   * @constant {number}
+   */
+  ListEditor.FILTER_MIN_ITEMS = 10;
+
+  /**
+   * Group items in lists with more items than this are collapsed, and their
+   * fields aren't created until they are expanded.
+   *
+   * @constant {number}
+   */
+  ListEditor.DEFER_MIN_ITEMS = 20;
+
   return ListEditor;
 })(H5P.jQuery);
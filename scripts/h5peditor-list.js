@@ -109,12 +109,36 @@ H5PEditor.List = (function ($) {
 
       var child = children[index] = new H5PEditor.widgets[widget](self, childField, parameters === undefined ? undefined : parameters[index], function (myChildField, value) {
         var i = findIndex(child);
-        setParameters(i === undefined ? index : i, value);
+        i = (i === undefined ? index : i);
+
+        var oldValue = (parameters === undefined ? undefined : parameters[i]);
+        setParameters(i, value);
+        H5PEditor.triggerChange(self, H5PEditor.getFieldPath(self) + '/' + i, oldValue, value);
       });
 
       return child;
     };
 
+    /**
+     * Create a shallow copy of the list's parameters.
+     *
+     * @private
+     * @returns {Array|undefined}
+     */
+    var copyParameters = function () {
+      return (parameters === undefined ? undefined : parameters.slice());
+    };
+
+    /**
+     * Let the form know that the items of the list have changed.
+     *
+     * @private
+     * @param {Array} [oldValue] Parameters before the change
+     */
+    var triggerChange = function (oldValue) {
+      H5PEditor.triggerChange(self, H5PEditor.getFieldPath(self), oldValue, parameters);
+    };
+
     /**
      * Finds the index for the given child.
      *
@@ -140,6 +164,48 @@ H5PEditor.List = (function ($) {
       return (field.entity === undefined ? 'item' : field.entity);
     };
 
+    /**
+     * Get the number of items in the list.
+     *
+     * @public
+     * @returns {Number}
+     */
+    self.getItemCount = function () {
+      return children.length;
+    };
+
+    /**
+     * Get the number of items that can be added before the list is full.
+     *
+     * @public
+     * @returns {Number}
+     */
+    self.getRemainingCapacity = function () {
+      return (field.max === undefined ? Infinity : Math.max(field.max - children.length, 0));
+    };
+
+    /**
+     * Get the number of items that can be removed before the list has fewer
+     * items than its minimum.
+     *
+     * @public
+     * @returns {Number}
+     */
+    self.getRemovableCount = function () {
+      return (field.min === undefined ? children.length : Math.max(children.length - field.min, 0));
+    };
+
+    /**
+     * Determine if items can be created by uploading files, i.e. if the list
+     * consists of image or file fields.
+     *
+     * @public
+     * @returns {Boolean}
+     */
+    self.acceptsFiles = function () {
+      return field.field.type === 'image' || field.field.type === 'file';
+    };
+
     /**
      * Adds a new list item and child field at the end of the list
      *
@@ -153,6 +219,7 @@ H5PEditor.List = (function ($) {
         return false;
       }
 
+      var oldValue = copyParameters();
       var child = addItem(id, paramsOverride);
       self.widget.addItem(child, id);
 
@@ -164,6 +231,7 @@ H5PEditor.List = (function ($) {
         readyCallbacks = []; // Reset
       }
       self.trigger('addedItem', child);
+      triggerChange(oldValue);
 
       return true;
     };
@@ -175,6 +243,8 @@ H5PEditor.List = (function ($) {
      * @param {Number} index
      */
     self.removeItem = function (index) {
+      var oldValue = copyParameters();
+
       // Remove child field
       children[index].remove();
       children.splice(index, 1);
@@ -189,6 +259,7 @@ H5PEditor.List = (function ($) {
         }
       }
       self.trigger('removedItem', index);
+      triggerChange(oldValue);
     };
 
     /**
@@ -201,6 +272,7 @@ H5PEditor.List = (function ($) {
       if (parameters === undefined) {
         return;
       }
+      var oldValue = copyParameters();
 
       // Remove child fields
       for (var i = 0; i < children.length; i++) {
@@ -211,6 +283,7 @@ H5PEditor.List = (function ($) {
       // Clean up parameters
       parameters = undefined;
       setValue(field);
+      triggerChange(oldValue);
     };
 
     /**
@@ -222,6 +295,8 @@ H5PEditor.List = (function ($) {
      * @param {Number} newIndex
      */
     self.moveItem = function (currentIndex, newIndex) {
+      var oldValue = copyParameters();
+
       // Update child fields
       var child = children.splice(currentIndex, 1);
       children.splice(newIndex, 0, child[0]);
@@ -231,6 +306,7 @@ H5PEditor.List = (function ($) {
         var params = parameters.splice(currentIndex, 1);
         parameters.splice(newIndex, 0, params[0]);
       }
+      triggerChange(oldValue);
     };
 
     /**
@@ -282,17 +358,10 @@ H5PEditor.List = (function ($) {
       }
 
       // Validate our self
-      if (field.max !== undefined && field.max > 0 &&
-          children !== undefined && children.length > field.max) {
-        // Invalid, more parameters than max allowed.
-        valid = false;
-        self.setError(H5PEditor.t('core', 'listExceedsMax', {':max': field.max}));
-      }
-      if (field.min !== undefined && field.min > 0 &&
-          (children === undefined || children.length < field.min)) {
-        // Invalid, less parameters than min allowed.
+      var errors = H5PEditor.validateField(field, children.length);
+      for (i = 0; i < errors.length; i++) {
         valid = false;
-        self.setError(H5PEditor.t('core', 'listBelowMin', {':min': field.min}));
+        self.setError(errors[i].message);
       }
 
       return valid;
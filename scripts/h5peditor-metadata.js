@@ -20,6 +20,18 @@ H5PEditor.MetadataForm = (function (EventDispatcher, $, metadataSemantics) {
     self.passReadies = true;
     // (but in a special way since we process multiple semantics chunks)
 
+    // Changes to the metadata are tracked by the parent's form
+    self.form = H5PEditor.findForm(parent);
+
+    /**
+     * Get the path to the metadata params, e.g. /metadata
+     *
+     * @return {string}
+     */
+    self.getParamsPath = function () {
+      return (parent instanceof H5PEditor.Form ? '' : H5PEditor.getFieldPath(parent)) + '/metadata';
+    };
+
     // Set current author as default in semantics
     const currentUserName = (H5PIntegration.user && H5PIntegration.user.name) ? H5PIntegration.user.name : undefined;
     if (currentUserName) {
@@ -87,8 +87,6 @@ ns.Number.prototype.createHtml = function () {
  * Validate the current text field.
  */
 ns.Number.prototype.validate = function () {
-  var that = this;
-
   var value = H5P.trim(this.$input.val());
   var decimals = this.field.decimals !== undefined && this.field.decimals;
 
@@ -99,51 +97,19 @@ ns.Number.prototype.validate = function () {
   // Clear errors before showing new ones
   this.$errors.html('');
 
-  // Determine property name
-  var propertyName = (that.field.label === 0 ? ns.t('core', 'numberField') : that.field.label);
-
-  if (!value.length) {
-    if (that.field.optional === true) {
-      // Field is optional and does not have a value, nothing more to validate
-      this.$input.removeClass('error');
-      return;
-    }
-
-    // Field must have a value
-    this.$errors.append(ns.createError(ns.t('core', 'requiredProperty', {':property': ns.t('core', 'numberField')})));
+  if (!value.length && this.field.optional === true) {
+    // Field is optional and does not have a value, nothing more to validate
+    this.$input.removeClass('error');
+    return;
   }
-  else {
-    var isInt = value.match(new RegExp('^-?[0-9]+$'));
-    if (decimals && !isInt && !value.match(new RegExp('^-?[0-9]+(.|,)[0-9]{1,' + decimals + '}$'))) {
-      this.$errors.append(ns.createError(ns.t('core', 'illegalDecimalNumber', {
-        ':property': propertyName,
-        ':decimals': decimals
-      })));
-    }
-    else if (!decimals && !isInt) {
-      this.$errors.append(ns.createError(ns.t('core', 'onlyNumbers', {':property': propertyName})));
-    }
-    else {
-      if (decimals) {
-        value = parseFloat(value.replace(',', '.'));
-      }
-      else {
-        value = parseInt(value);
-      }
 
-      if (this.field.max !== undefined && value > this.field.max) {
-        this.$errors.append(ns.createError(ns.t('core', 'exceedsMax', {':property': propertyName, ':max': this.field.max})));
-      }
-      else if (this.field.min !== undefined && value < this.field.min) {
-        this.$errors.append(ns.createError(ns.t('core', 'belowMin', {':property': propertyName, ':min': this.field.min})));
-      }
-      else if (this.field.step !== undefined && value % this.field.step)  {
-        this.$errors.append(ns.createError(ns.t('core', 'outOfStep', {':property': propertyName, ':step': this.field.step})));
-      }
-    }
+  var errors = ns.validateField(this.field, value);
+  if (!errors.length) {
+    value = (decimals ? parseFloat(value.replace(',', '.')) : parseInt(value));
   }
+  ns.appendErrors(this.$errors, errors);
 
-  this.$input.toggleClass('error', this.$errors.html().length > 0);
+  this.$input.toggleClass('error', errors.length > 0);
 
   return ns.checkErrors(this.$errors, this.$input, value);
 };
@@ -99,19 +99,15 @@ H5PEditor.widgets.select = H5PEditor.Select = (function (E) {
       value = undefined; // No value selected
     }
 
-    if (this.field.optional !== true && value === undefined) {
-      // Not optional and no value selected, print required error
-      this.$errors.append(ns.createError(ns.t('core', 'requiredProperty', {':property': ns.t('core', 'textField')})));
+    // Remove old errors
+    this.$errors.children().remove();
 
+    var errors = ns.validateField(this.field, value);
+    if (errors.length) {
+      ns.appendErrors(this.$errors, errors);
       return false;
     }
 
-    // All valid. Remove old errors
-    var $errors = this.$errors.children();
-    if ($errors.length) {
-      $errors.remove();
-    }
-
     return value;
   };
 
@@ -228,6 +228,16 @@ H5PEditor.SemanticStructure = (function ($) {
       $errors.append(H5PEditor.createError(message));
     };
 
+    /**
+     * Get the element displaying the error messages.
+     *
+     * @public
+     * @returns {jQuery}
+     */
+    self.getErrorsElement = function () {
+      return $errors;
+    };
+
     /**
      * Clear error messages.
      *
@@ -0,0 +1,333 @@
+/* global ns CKEDITOR */
+H5PEditor.Snippets = (function ($) {
+
+  /**
+   * Key used to store the snippets for the current user.
+   *
+   * @constant {string}
+   */
+  var STORAGE_KEY = 'h5peditor-snippets';
+
+  /**
+   * Max number of characters shown when previewing a snippet.
+   *
+   * @constant {number}
+   */
+  var PREVIEW_LENGTH = 60;
+
+  // The stored snippets, once they have been loaded
+  var snippets;
+
+  // Callbacks waiting for the snippets to load
+  var waiting;
+
+  /**
+   * Load the stored snippets.
+   *
+   * @private
+   * @param {function} callback Receives the snippets
+   */
+  var load = function (callback) {
+    if (snippets !== undefined) {
+      callback(snippets);
+      return;
+    }
+    if (waiting !== undefined) {
+      waiting.push(callback);
+      return;
+    }
+
+    waiting = [callback];
+    ns.storage.get(STORAGE_KEY, function (value) {
+      snippets = (value instanceof Array ? value : []).filter(function (snippet) {
+        return snippet && typeof snippet.name === 'string' && typeof snippet.html === 'string';
+      });
+      waiting.forEach(function (next) {
+        next(snippets);
+      });
+      waiting = undefined;
+    });
+  };
+
+  /**
+   * Store the snippets.
+   *
+   * @private
+   */
+  var store = function () {
+    ns.storage.set(STORAGE_KEY, snippets);
+  };
+
+  /**
+   * Lets authors save the selected text as a named snippet, and insert saved
+   * snippets where the cursor is.
+   *
+   * @class H5PEditor.Snippets
+   * @param {Object} target The field using the snippets
+   * @param {function} target.getSelection Returns the selected HTML
+   * @param {function} target.insert Receives the HTML of the chosen snippet
+   */
+  function Snippets(target) {
+    var self = this;
+
+    var $panel = $('<div/>', {
+      'class': 'h5peditor-snippets',
+      role: 'dialog',
+      'aria-label': ns.t('core', 'snippets'),
+      on: {
+        keydown: function (event) {
+          if (event.which === 27) {
+            self.close();
+          }
+        }
+      }
+    }).hide();
+
+    $('<div/>', {
+      'class': 'h5peditor-snippets-title',
+      text: ns.t('core', 'snippets'),
+      appendTo: $panel
+    });
+
+    var $list = $('<ul/>', {
+      'class': 'h5peditor-snippets-list',
+      appendTo: $panel
+    });
+
+    var $empty = $('<div/>', {
+      'class': 'h5peditor-snippets-empty',
+      text: ns.t('core', 'noSnippets'),
+      appendTo: $panel
+    });
+
+    var $save = $('<div/>', {
+      'class': 'h5peditor-snippets-save',
+      appendTo: $panel
+    });
+
+    var $name = $('<input/>', {
+      type: 'text',
+      'class': 'h5peditor-text',
+      maxlength: 100,
+      on: {
+        keydown: function (event) {
+          if (event.which === 13) {
+            event.preventDefault();
+            save();
+          }
+        }
+      }
+    });
+    $('<label/>', {
+      'class': 'h5peditor-snippets-name',
+      appendTo: $save
+    }).append($('<span/>', {text: ns.t('core', 'snippetName')})).append($name);
+
+    var $saveButton = $('<button/>', {
+      type: 'button',
+      'class': 'h5peditor-button-textual',
+      text: ns.t('core', 'saveSnippet'),
+      click: function () {
+        save();
+      },
+      appendTo: $save
+    });
+
+    var $status = $('<div/>', {
+      'class': 'h5peditor-snippets-status',
+      'aria-live': 'polite',
+      appendTo: $panel
+    });
+
+    $('<button/>', {
+      type: 'button',
+      'class': 'h5peditor-button-textual h5peditor-snippets-close',
+      text: ns.t('core', 'close'),
+      click: function () {
+        self.close();
+      },
+      appendTo: $panel
+    });
+
+    // The HTML selected when the panel was opened
+    var selection = '';
+
+    /**
+     * Save the selection as a new snippet, replacing any snippet with the
+     * same name.
+     *
+     * @private
+     */
+    var save = function () {
+      var name = $name.val().trim();
+      if (name === '' || selection === '') {
+        return;
+      }
+
+      load(function (list) {
+        for (var i = 0; i < list.length; i++) {
+          if (list[i].name === name) {
+            list.splice(i, 1);
+            break;
+          }
+        }
+        list.push({
+          name: name,
+          html: selection
+        });
+        store();
+
+        $name.val('');
+        $status.text(ns.t('core', 'snippetSaved', {':name': name}));
+        update();
+      });
+    };
+
+    /**
+     * Display the saved snippets.
+     *
+     * @private
+     */
+    var update = function () {
+      load(function (list) {
+        $list.empty();
+        list.forEach(function (snippet) {
+          addItem(snippet, list);
+        });
+        $empty.toggle(!list.length);
+      });
+    };
+
+    /**
+     * Add a snippet to the list.
+     *
+     * @private
+     * @param {Object} snippet
+     * @param {Array} list
+     */
+    var addItem = function (snippet, list) {
+      var $item = $('<li/>', {
+        'class': 'h5peditor-snippets-item',
+        appendTo: $list
+      });
+
+      var text = Snippets.toText(snippet.html);
+      $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-snippets-insert',
+        text: snippet.name,
+        title: ns.t('core', 'insertSnippet', {':name': snippet.name}),
+        click: function () {
+          self.close();
+          target.insert(snippet.html);
+        },
+        appendTo: $item
+      });
+
+      $('<span/>', {
+        'class': 'h5peditor-snippets-preview',
+        text: (text.length > PREVIEW_LENGTH ? text.substr(0, PREVIEW_LENGTH) + '…' : text),
+        appendTo: $item
+      });
+
+      $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-snippets-delete',
+        'aria-label': ns.t('core', 'deleteSnippet', {':name': snippet.name}),
+        click: function () {
+          list.splice(list.indexOf(snippet), 1);
+          store();
+          $status.text(ns.t('core', 'snippetDeleted', {':name': snippet.name}));
+          update();
+          $panel.find('button').first().focus();
+        },
+        appendTo: $item
+      });
+    };
+
+    /**
+     * Open the panel, keeping the selection so it can be saved.
+     */
+    self.open = function () {
+      selection = target.getSelection() || '';
+      $save.toggleClass('h5peditor-snippets-no-selection', selection === '');
+      $saveButton.add($name).prop('disabled', selection === '');
+      $name.attr('placeholder', selection === '' ? ns.t('core', 'selectTextForSnippet') : '');
+      $status.text('');
+
+      update();
+      $panel.show();
+      $panel.find(selection === '' ? 'button' : 'input').first().focus();
+    };
+
+    /**
+     * Close the panel.
+     */
+    self.close = function () {
+      $panel.hide();
+    };
+
+    /**
+     * @param {jQuery} $element
+     */
+    self.insertBefore = function ($element) {
+      $panel.insertBefore($element);
+    };
+  }
+
+  /**
+   * Name of the CKEditor plugin adding the snippets button.
+   *
+   * @constant {string}
+   */
+  Snippets.PLUGIN = 'h5psnippets';
+
+  /**
+   * Add the snippets plugin to CKEditor. The button opens the snippets of
+   * the Html widget being edited.
+   */
+  Snippets.registerPlugin = function () {
+    if (CKEDITOR.plugins.get(Snippets.PLUGIN)) {
+      return;
+    }
+
+    CKEDITOR.plugins.add(Snippets.PLUGIN, {
+      init: function (editor) {
+        editor.addCommand(Snippets.PLUGIN, {
+          exec: function (editor) {
+            if (ns.Html.current !== undefined && ns.Html.current.ckeditor === editor) {
+              ns.Html.current.snippets.open();
+            }
+          }
+        });
+        editor.ui.addButton('H5PSnippets', {
+          label: ns.t('core', 'snippets'),
+          command: Snippets.PLUGIN,
+          icon: ns.basePath + '/images/snippets.svg'
+        });
+      }
+    });
+  };
+
+  /**
+   * Get the text of a snippet.
+   *
+   * @param {string} html
+   * @return {string}
+   */
+  Snippets.toText = function (html) {
+    return new DOMParser().parseFromString('<body>' + html + '</body>', 'text/html').body.textContent;
+  };
+
+  /**
+   * Create a snippet from text.
+   *
+   * @param {string} text
+   * @return {string}
+   */
+  Snippets.toHtml = function (text) {
+    return $('<div/>').text(text).html();
+  };
+
+  return Snippets;
+})(H5P.jQuery);
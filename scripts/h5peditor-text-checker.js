@@ -0,0 +1,679 @@
+/* global ns */
+H5PEditor.TextChecker = (function ($) {
+
+  /**
+   * Milliseconds to wait after the last key press before checking the text.
+   *
+   * @constant {number}
+   */
+  var DELAY = 500;
+
+  /**
+   * Milliseconds to wait for a checker before showing the issues found by
+   * the others.
+   *
+   * @constant {number}
+   */
+  var TIMEOUT = 10000;
+
+  /**
+   * Name of the highlight used to underline issues in HTML fields.
+   *
+   * @constant {string}
+   */
+  var HIGHLIGHT = 'h5peditor-text-issue';
+
+  /**
+   * Styles copied from inputs to the overlay displaying their issues, so
+   * that the text is laid out the same way.
+   *
+   * @constant {Array}
+   */
+  var STYLE_PROPERTIES = ['boxSizing', 'width', 'height', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'fontFamily', 'fontSize',
+    'fontWeight', 'fontStyle', 'letterSpacing', 'wordSpacing', 'lineHeight', 'textIndent', 'textAlign', 'textTransform'];
+
+  /**
+   * Elements that start a new line of text in HTML fields.
+   *
+   * @constant {Array}
+   */
+  var BLOCK_TAGS = ['ADDRESS', 'BLOCKQUOTE', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'P', 'PRE', 'TD', 'TH'];
+
+  // Registered checkers
+  var checkers = [];
+
+  // Words the author has chosen to ignore
+  var ignored = {};
+
+  // The bundled checker is registered when it is first needed
+  var hasDictionaries = false;
+
+  // Popup with suggestions for the selected issue
+  var $popup;
+
+  /**
+   * Get the checkers to use.
+   *
+   * @private
+   * @return {Array}
+   */
+  var getCheckers = function () {
+    if (!hasDictionaries && window.H5PIntegration !== undefined && H5PIntegration.editor.dictionaries !== undefined) {
+      hasDictionaries = true;
+      checkers.unshift(new ns.DictionaryChecker(H5PIntegration.editor.dictionaries));
+    }
+    return checkers;
+  };
+
+  /**
+   * Get the language the content is written in.
+   *
+   * @private
+   * @return {string}
+   */
+  var getLanguage = function () {
+    return ns.defaultLanguage || ns.contentLanguage || 'en';
+  };
+
+  /**
+   * Sort the issues, and leave out overlapping and ignored ones.
+   *
+   * @private
+   * @param {Array} issues
+   * @param {string} text
+   * @return {Array}
+   */
+  var prepare = function (issues, text) {
+    issues = issues.filter(function (issue) {
+      return issue.length > 0 && issue.start >= 0 && issue.start + issue.length <= text.length &&
+        !ignored[text.substr(issue.start, issue.length)];
+    }).sort(function (a, b) {
+      return a.start - b.start;
+    });
+
+    var end = 0;
+    return issues.filter(function (issue) {
+      if (issue.start < end) {
+        return false;
+      }
+      end = issue.start + issue.length;
+      return true;
+    });
+  };
+
+  /**
+   * Let all the checkers look for issues in the given text.
+   *
+   * @private
+   * @param {string} text
+   * @param {function} callback Receives the issues found
+   */
+  var check = function (text, callback) {
+    var all = getCheckers();
+    if (!all.length || !/\S/.test(text)) {
+      callback([]);
+      return;
+    }
+
+    var found = [];
+    var remaining = all.length;
+    var language = getLanguage();
+    all.forEach(function (checker) {
+      var isDone = false;
+      var timer;
+
+      // A checker failing or never answering must not stop the others
+      var done = function (issues) {
+        if (isDone) {
+          return;
+        }
+        isDone = true;
+        clearTimeout(timer);
+
+        if (issues instanceof Array) {
+          Array.prototype.push.apply(found, issues);
+        }
+        remaining--;
+        if (!remaining) {
+          callback(prepare(found, text));
+        }
+      };
+
+      timer = setTimeout(done, TIMEOUT);
+      try {
+        checker.check(text, language, done);
+      }
+      catch (err) {
+        console.error(err);
+        done();
+      }
+    });
+  };
+
+  /**
+   * Find the issue at the given position in the text.
+   *
+   * @private
+   * @param {Array} issues
+   * @param {number} position
+   * @return {number} Index of the issue, or -1 if there is none
+   */
+  var findIssue = function (issues, position) {
+    for (var i = 0; i < issues.length; i++) {
+      if (position >= issues[i].start && position <= issues[i].start + issues[i].length) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * Close the suggestions popup.
+   *
+   * @private
+   */
+  var closePopup = function () {
+    if ($popup !== undefined) {
+      $popup.remove();
+      $popup = undefined;
+      $(document).off('mousedown.h5peditor-text-checker');
+    }
+  };
+
+  /**
+   * Display the suggestions for an issue below it.
+   *
+   * @private
+   * @param {Object} issue
+   * @param {string} word The text the issue is about
+   * @param {Object} position Top and left of the popup in the document
+   * @param {function} apply Receives the chosen suggestion
+   * @param {function} ignore
+   * @param {function} focus Moves focus back to the text
+   */
+  var openPopup = function (issue, word, position, apply, ignore, focus) {
+    closePopup();
+
+    $popup = $('<div/>', {
+      'class': 'h5peditor-text-checker-popup',
+      role: 'dialog',
+      'aria-label': issue.message || ns.t('core', 'textIssue', {':text': word}),
+      on: {
+        mousedown: function (event) {
+          event.preventDefault(); // Keep focus in the text
+        },
+        keydown: function (event) {
+          if (event.which === 27) {
+            closePopup();
+            focus();
+          }
+        }
+      }
+    });
+
+    $('<div/>', {
+      'class': 'h5peditor-text-checker-message',
+      text: issue.message || ns.t('core', 'textIssue', {':text': word}),
+      appendTo: $popup
+    });
+
+    var suggestions = (issue.suggestions || []).slice(0, 5);
+    if (!suggestions.length) {
+      $('<div/>', {
+        'class': 'h5peditor-text-checker-none',
+        text: ns.t('core', 'noSuggestions'),
+        appendTo: $popup
+      });
+    }
+    suggestions.forEach(function (suggestion) {
+      $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-text-checker-suggestion',
+        text: suggestion,
+        click: function () {
+          closePopup();
+          apply(suggestion);
+          focus();
+        },
+        appendTo: $popup
+      });
+    });
+
+    $('<button/>', {
+      type: 'button',
+      'class': 'h5peditor-text-checker-ignore',
+      text: ns.t('core', 'ignoreWord'),
+      click: function () {
+        ignored[word] = true;
+        closePopup();
+        ignore();
+        focus();
+      },
+      appendTo: $popup
+    });
+
+    $popup.appendTo(document.body).offset(position);
+
+    $(document).on('mousedown.h5peditor-text-checker', function (event) {
+      if (!$.contains($popup[0], event.target)) {
+        closePopup();
+      }
+    });
+  };
+
+  /**
+   * Handle the keys used to move between the text and the popup.
+   *
+   * @private
+   * @param {Event} event
+   */
+  var keydown = function (event) {
+    if ($popup === undefined) {
+      return;
+    }
+    if (event.which === 27) {
+      closePopup();
+    }
+    else if (event.which === 40 && event.altKey) {
+      event.preventDefault();
+      $popup.find('button').first().focus();
+    }
+  };
+
+  /**
+   * Get the text of an HTML field, and where each of its text nodes start.
+   *
+   * @private
+   * @param {Element} element
+   * @return {Object} With text and segments
+   */
+  var getSegments = function (element) {
+    var doc = element.ownerDocument;
+    var walker = doc.createTreeWalker(element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: function (node) {
+        return (node.nodeType === 1 && node.classList.contains('h5peditor-ckeditor-placeholder') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT);
+      }
+    });
+
+    var text = '';
+    var segments = [];
+    var previousBlock, isBroken;
+    while (walker.nextNode()) {
+      var node = walker.currentNode;
+      if (node.nodeType === 1) {
+        isBroken = isBroken || node.nodeName === 'BR';
+        continue;
+      }
+
+      var block = node.parentNode;
+      while (block !== element && BLOCK_TAGS.indexOf(block.nodeName) === -1) {
+        block = block.parentNode;
+      }
+      if (text.length && (isBroken || block !== previousBlock)) {
+        text += '\n'; // Keeps words on separate lines apart
+      }
+      previousBlock = block;
+      isBroken = false;
+
+      segments.push({
+        node: node,
+        start: text.length
+      });
+      text += node.nodeValue;
+    }
+
+    return {
+      text: text,
+      segments: segments
+    };
+  };
+
+  /**
+   * Find the text node containing the given position in the text.
+   *
+   * @private
+   * @param {Array} segments
+   * @param {number} position
+   * @param {boolean} isEnd Prefer the node that ends at the position
+   * @return {Array} The node and the offset in it
+   */
+  var findNode = function (segments, position, isEnd) {
+    for (var i = 0; i < segments.length; i++) {
+      var offset = position - segments[i].start;
+      var length = segments[i].node.nodeValue.length;
+      if (isEnd ? (offset > 0 && offset <= length) : (offset >= 0 && offset < length)) {
+        return [segments[i].node, offset];
+      }
+    }
+  };
+
+  /**
+   * Look for issues in a text input or textarea, and underline them on a
+   * transparent overlay with the same text.
+   *
+   * @param {jQuery} $input
+   */
+  var attachToInput = function ($input) {
+    var input = $input[0];
+    var issues = [];
+    var version = 0;
+    var $overlay, timer;
+
+    /**
+     * Place the overlay right on top of the input.
+     *
+     * @private
+     */
+    var position = function () {
+      var style = window.getComputedStyle(input);
+      var css = {};
+      STYLE_PROPERTIES.forEach(function (property) {
+        css[property] = style[property];
+      });
+
+      var offset = $input.position();
+      css.top = offset.top + parseFloat(style.marginTop);
+      css.left = offset.left + parseFloat(style.marginLeft);
+      $overlay.css(css);
+    };
+
+    /**
+     * Underline the issues found.
+     *
+     * @private
+     */
+    var render = function () {
+      if (!issues.length) {
+        if ($overlay !== undefined) {
+          $overlay.hide();
+        }
+        return;
+      }
+
+      if ($overlay === undefined) {
+        $overlay = $('<div/>', {
+          'class': 'h5peditor-text-checker-overlay' + (input.nodeName === 'TEXTAREA' ? ' h5peditor-text-checker-multiline' : ''),
+          'aria-hidden': true
+        }).insertAfter($input);
+      }
+
+      var text = $input.val();
+      var start = 0;
+      $overlay.empty();
+      issues.forEach(function (issue) {
+        $overlay.append(document.createTextNode(text.substring(start, issue.start)));
+        $('<mark/>', {
+          text: text.substr(issue.start, issue.length),
+          appendTo: $overlay
+        });
+        start = issue.start + issue.length;
+      });
+      $overlay.append(document.createTextNode(text.substring(start) + '\n'));
+
+      position();
+      $overlay.show();
+      scroll();
+    };
+
+    /**
+     * Keep the underlines below the words when the input scrolls.
+     *
+     * @private
+     */
+    var scroll = function () {
+      if ($overlay !== undefined) {
+        $overlay.scrollLeft(input.scrollLeft).scrollTop(input.scrollTop);
+      }
+    };
+
+    /**
+     * Look for issues in the current text.
+     *
+     * @private
+     */
+    var update = function () {
+      var current = ++version;
+      check($input.val(), function (found) {
+        if (current === version) { // Ignore results for old texts
+          issues = found;
+          render();
+        }
+      });
+    };
+
+    /**
+     * Display the suggestions for the issue at the caret.
+     *
+     * @private
+     */
+    var suggest = function () {
+      var index = (input.selectionStart === input.selectionEnd ? findIssue(issues, input.selectionStart) : -1);
+      if (index === -1) {
+        closePopup();
+        return;
+      }
+
+      var issue = issues[index];
+      var text = $input.val();
+      var $mark = $overlay.children('mark').eq(index);
+      var offset = $mark.offset();
+      offset.top += $mark.outerHeight();
+
+      openPopup(issue, text.substr(issue.start, issue.length), offset, function (suggestion) {
+        $input.val(text.substring(0, issue.start) + suggestion + text.substring(issue.start + issue.length)).change();
+        input.selectionStart = input.selectionEnd = issue.start + suggestion.length;
+        update();
+      }, update, function () {
+        input.focus();
+      });
+    };
+
+    $input.on('input', function () {
+      // Positions are wrong until the text has been checked again
+      issues = [];
+      render();
+      closePopup();
+
+      clearTimeout(timer);
+      timer = setTimeout(update, DELAY);
+    }).on('scroll', scroll).on('click', suggest).on('keyup', function (event) {
+      if (event.which >= 33 && event.which <= 40 && !event.altKey) {
+        suggest(); // Caret moved by keyboard
+      }
+    }).on('keydown', keydown);
+
+    if (getCheckers().length) {
+      update();
+    }
+  };
+
+  /**
+   * Look for issues in an HTML field, and underline them using a highlight.
+   * Does nothing in browsers without the CSS Custom Highlight API.
+   *
+   * @param {Element} element The element being edited
+   * @param {function} [changed] Called when a suggestion has been applied
+   * @return {Object} With check and detach functions
+   */
+  var attachToEditable = function (element, changed) {
+    var doc = element.ownerDocument;
+    var win = doc.defaultView;
+    if (win.CSS === undefined || win.CSS.highlights === undefined) {
+      return {
+        check: function () {},
+        detach: function () {}
+      };
+    }
+
+    if (!win.CSS.highlights.has(HIGHLIGHT)) {
+      win.CSS.highlights.set(HIGHLIGHT, new win.Highlight());
+      if (doc !== document) {
+        // The editor's own document has its style in application.css
+        $('<style/>', {
+          text: '::highlight(' + HIGHLIGHT + ') { text-decoration: underline wavy #da0001; }',
+          appendTo: doc.head
+        });
+      }
+    }
+    var highlight = win.CSS.highlights.get(HIGHLIGHT);
+
+    var found = [];
+    var version = 0;
+    var timer;
+
+    /**
+     * Remove the underlines.
+     *
+     * @private
+     */
+    var clear = function () {
+      found.forEach(function (item) {
+        highlight.delete(item.range);
+      });
+      found = [];
+    };
+
+    /**
+     * Look for issues in the current text.
+     *
+     * @private
+     */
+    var update = function () {
+      var current = ++version;
+      var content = getSegments(element);
+      check(content.text, function (issues) {
+        if (current !== version) {
+          return; // Ignore results for old texts
+        }
+
+        clear();
+        issues.forEach(function (issue) {
+          var start = findNode(content.segments, issue.start);
+          var end = findNode(content.segments, issue.start + issue.length, true);
+          if (start === undefined || end === undefined) {
+            return;
+          }
+
+          var range = doc.createRange();
+          range.setStart(start[0], start[1]);
+          range.setEnd(end[0], end[1]);
+          highlight.add(range);
+          found.push({
+            issue: issue,
+            word: content.text.substr(issue.start, issue.length),
+            range: range
+          });
+        });
+      });
+    };
+
+    /**
+     * Display the suggestions for the issue at the caret.
+     *
+     * @private
+     */
+    var suggest = function () {
+      var selection = win.getSelection();
+      var item;
+      if (selection.rangeCount && selection.isCollapsed) {
+        for (var i = 0; i < found.length; i++) {
+          if (found[i].range.isPointInRange(selection.anchorNode, selection.anchorOffset)) {
+            item = found[i];
+            break;
+          }
+        }
+      }
+      if (item === undefined) {
+        closePopup();
+        return;
+      }
+
+      // The editor may be inside a frame
+      var rect = item.range.getBoundingClientRect();
+      var top = rect.bottom;
+      var left = rect.left;
+      if (win.frameElement && win !== window) {
+        var frame = win.frameElement.getBoundingClientRect();
+        top += frame.top;
+        left += frame.left;
+      }
+
+      openPopup(item.issue, item.word, {
+        top: top + window.pageYOffset,
+        left: left + window.pageXOffset
+      }, function (suggestion) {
+        item.range.deleteContents();
+        item.range.insertNode(doc.createTextNode(suggestion));
+        item.range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(item.range);
+        if (changed) {
+          changed();
+        }
+        update();
+      }, update, function () {
+        element.focus();
+      });
+    };
+
+    var $element = $(element).on('input.h5peditor-text-checker', function () {
+      clear();
+      closePopup();
+      clearTimeout(timer);
+      timer = setTimeout(update, DELAY);
+    }).on('click.h5peditor-text-checker', suggest).on('keyup.h5peditor-text-checker', function (event) {
+      if (event.which >= 33 && event.which <= 40 && !event.altKey) {
+        suggest();
+      }
+    }).on('keydown.h5peditor-text-checker', keydown);
+
+    if (getCheckers().length) {
+      update();
+    }
+
+    return {
+      check: function () {
+        if (getCheckers().length) {
+          update();
+        }
+      },
+      detach: function () {
+        version++;
+        clearTimeout(timer);
+        clear();
+        closePopup();
+        $element.off('.h5peditor-text-checker');
+      }
+    };
+  };
+
+  return {
+
+    /**
+     * Add a checker looking for issues in the texts of the form.
+     *
+     * @param {Object} checker
+     * @param {function} checker.check Receives the text, the language code
+     *   and a callback which must be called with the issues found. Each issue
+     *   has a start and length in the text, and an optional message and
+     *   list of suggestions. Checkers that throw or don't call back within
+     *   10 seconds are left out of that check.
+     */
+    register: function (checker) {
+      checkers.push(checker);
+    },
+
+    attachToInput: attachToInput,
+    attachToEditable: attachToEditable
+  };
+})(H5P.jQuery);
+
+/**
+ * Add a spelling or grammar checker to the text and HTML fields.
+ *
+ * @param {Object} checker See H5PEditor.TextChecker.register
+ */
+H5PEditor.registerTextChecker = function (checker) {
+  H5PEditor.TextChecker.register(checker);
+};
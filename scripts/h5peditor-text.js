@@ -28,6 +28,40 @@ ns.Text.prototype.appendTo = function ($wrapper) {
   this.$input = this.$item.find('input');
   this.$errors = this.$item.children('.h5p-errors');
 
+  ns.TextChecker.attachToInput(this.$input);
+
+  this.counter = new ns.Counter(this.field);
+  this.counter.insertBefore(this.$errors);
+  this.counter.watch(this.$input);
+
+  // Snippets are inserted as plain text
+  var start, end;
+  this.snippets = new ns.Snippets({
+    getSelection: function () {
+      var input = that.$input[0];
+      start = input.selectionStart;
+      end = input.selectionEnd;
+      return ns.Snippets.toHtml(input.value.substring(start, end));
+    },
+    insert: function (html) {
+      var value = that.$input.val();
+      var text = ns.Snippets.toText(html);
+      that.$input.val(value.substr(0, start) + text + value.substr(end)).focus();
+      that.$input[0].setSelectionRange(start + text.length, start + text.length);
+      that.$input.change();
+    }
+  });
+  this.snippets.insertBefore(this.$errors);
+
+  ns.$('<button/>', {
+    type: 'button',
+    'class': 'h5peditor-button-textual h5peditor-snippets-button',
+    text: ns.t('core', 'snippets'),
+    click: function () {
+      that.snippets.open();
+    }
+  }).insertAfter(this.$input);
+
   this.$input.change(function () {
     // Validate
     var value = that.validate();
@@ -76,28 +110,14 @@ ns.Text.prototype.createHtml = function () {
  * Validate the current text field.
  */
 ns.Text.prototype.validate = function () {
-  var that = this;
-
   var value = H5P.trim(this.$input.val());
-  var valid = true;
+  var errors = ns.validateField(this.field, value);
 
   // Clear errors before showing new ones
   this.$errors.html('');
+  ns.appendErrors(this.$errors, errors);
 
-  if ((that.field.optional === undefined || !that.field.optional) && !value.length) {
-    this.$errors.append(ns.createError(ns.t('core', 'requiredProperty', {':property': ns.t('core', 'textField')})));
-    valid = false;
-  }
-  else if (value.length > this.field.maxLength) {
-    this.$errors.append(ns.createError(ns.t('core', 'tooLong', {':max': this.field.maxLength})));
-    valid = false;
-  }
-  else if (this.field.regexp !== undefined && value.length && !value.match(new RegExp(this.field.regexp.pattern, this.field.regexp.modifiers))) {
-    this.$errors.append(ns.createError(ns.t('core', 'invalidFormat')));
-    valid = false;
-  }
-
-  this.$input.toggleClass('error', !valid);
+  this.$input.toggleClass('error', errors.length > 0);
 
   return ns.checkErrors(this.$errors, this.$input, value);
 };
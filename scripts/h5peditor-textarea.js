@@ -29,6 +29,11 @@ ns.Textarea.prototype.appendTo = function ($wrapper) {
   this.$errors = this.$item.find('.h5p-errors');
 
   ns.bindImportantDescriptionEvents(this, this.field.name, this.parent);
+  ns.TextChecker.attachToInput(this.$input);
+
+  this.counter = new ns.Counter(this.field);
+  this.counter.insertBefore(this.$errors);
+  this.counter.watch(this.$input);
 
   this.$input.change(function () {
     // Validate
@@ -63,25 +68,13 @@ ns.Textarea.prototype.createHtml = function () {
  */
 ns.Textarea.prototype.validate = function () {
   var value = H5P.trim(this.$input.val());
-  var valid = true;
+  var errors = ns.validateField(this.field, value);
 
   // Clear errors before showing new ones
   this.$errors.html('');
+  ns.appendErrors(this.$errors, errors);
 
-  if ((this.field.optional === undefined || !this.field.optional) && !value.length) {
-    this.$errors.append(ns.createError(ns.t('core', 'requiredProperty', {':property': ns.t('core', 'textField')})));
-    valid = false;
-  }
-  else if (value.length > this.field.maxLength) {
-    this.$errors.append(ns.createError(ns.t('core', 'tooLong', {':max': this.field.maxLength})));
-    valid = false;
-  }
-  else if (this.field.regexp !== undefined && !value.match(new RegExp(this.field.regexp.pattern, this.field.regexp.modifiers))) {
-    this.$errors.append(ns.createError(ns.t('core', 'invalidFormat')));
-    valid = false;
-  }
-
-  this.$input.toggleClass('error', !valid);
+  this.$input.toggleClass('error', errors.length > 0);
 
   return ns.checkErrors(this.$errors, this.$input, value);
 };
@@ -93,5 +86,14 @@ ns.Textarea.prototype.remove = function () {
   this.$item.remove();
 };
 
+/**
+ * When someone from the outside wants to set a value.
+ *
+ * @param {string} value
+ */
+ns.Textarea.prototype.forceValue = function (value) {
+  this.$input.val(value).change();
+};
+
 // Tell the editor what semantic field we are.
 ns.widgets.textarea = ns.Textarea;
@@ -0,0 +1,288 @@
+/* global ns */
+H5PEditor.ValidationSummary = (function ($) {
+
+  /**
+   * Lists all the errors found when validating the form, making it possible
+   * to jump to fields hidden inside collapsed groups and list items.
+   *
+   * @class H5PEditor.ValidationSummary
+   * @param {H5PEditor.Form} form
+   */
+  function ValidationSummary(form) {
+    var self = this;
+
+    var $wrapper = $('<div/>', {
+      'class': 'h5peditor-validation-summary',
+      role: 'alert',
+      tabindex: -1
+    }).hide();
+
+    var $title = $('<div/>', {
+      'class': 'h5peditor-validation-summary-title',
+      appendTo: $wrapper
+    });
+
+    var $list = $('<ul/>', {
+      'class': 'h5peditor-validation-summary-list',
+      appendTo: $wrapper
+    });
+
+    // Fields with errors found by the last update
+    var found = [];
+
+    /**
+     * Get the error messages displayed by the given field.
+     *
+     * @private
+     * @param {Object} field Field instance
+     * @return {Array}
+     */
+    var getMessages = function (field) {
+      var $errors = getErrors(field);
+      if ($errors === undefined) {
+        return [];
+      }
+
+      return $errors.children().map(function () {
+        return $(this).text();
+      }).get();
+    };
+
+    /**
+     * Get the container used to display the errors of the given field.
+     *
+     * @private
+     * @param {Object} field Field instance
+     * @return {jQuery|undefined}
+     */
+    var getErrors = function (field) {
+      if (field.getErrorsElement instanceof Function) {
+        return field.getErrorsElement();
+      }
+      return field.$errors;
+    };
+
+    /**
+     * Get the label used for the field in breadcrumbs.
+     *
+     * @private
+     * @param {Object} field Field instance
+     * @return {string|undefined}
+     */
+    var getLabel = function (field) {
+      if (field.field === undefined) {
+        return;
+      }
+      if (field.field.label !== undefined && field.field.label !== 0 && field.field.label !== '') {
+        return $('<div>' + field.field.label + '</div>').text();
+      }
+      return field.field.name;
+    };
+
+    /**
+     * Get the path to the params of a child field.
+     *
+     * @private
+     * @param {Object} parent
+     * @param {Object} child Field instance
+     * @return {string}
+     */
+    var getPath = function (parent, child) {
+      if (parent instanceof ns.Group && parent.hasSingleChild() && !parent.isSubContent()) {
+        return ns.getFieldPath(parent);
+      }
+      return ns.getParamsPath(parent) + '/' + child.field.name;
+    };
+
+    /**
+     * Look through the given fields and their children for errors.
+     *
+     * @private
+     * @param {Object} parent
+     * @param {Array} labels Breadcrumb for the parent
+     * @param {Array} ancestors Field instances containing the children
+     * @param {Array} found The fields with errors are added here
+     */
+    var collect = function (parent, labels, ancestors, found) {
+      if (parent.children === undefined) {
+        return;
+      }
+
+      for (var i = 0; i < parent.children.length; i++) {
+        var child = parent.children[i];
+        var label = getLabel(child);
+        var breadcrumb = (label === undefined ? labels : labels.concat([label]));
+
+        var messages = getMessages(child);
+        if (messages.length) {
+          found.push({
+            field: child,
+            path: getPath(parent, child),
+            breadcrumb: breadcrumb,
+            ancestors: ancestors,
+            messages: messages
+          });
+        }
+
+        if (child instanceof ns.List) {
+          collectItems(child, breadcrumb, ancestors.concat([child]), found);
+        }
+        else {
+          collect(child, breadcrumb, ancestors.concat([child]), found);
+        }
+      }
+    };
+
+    /**
+     * Look through the items of a list for errors.
+     *
+     * @private
+     * @param {H5PEditor.List} list
+     * @param {Array} labels Breadcrumb for the list
+     * @param {Array} ancestors Field instances containing the items
+     * @param {Array} found The fields with errors are added here
+     */
+    var collectItems = function (list, labels, ancestors, found) {
+      var entity = list.getEntity();
+      entity = entity.charAt(0).toUpperCase() + entity.slice(1);
+
+      list.forEachChild(function (item, index) {
+        var itemLabel = ns.t('core', 'listItemNumber', {':entity': entity, ':number': index + 1});
+
+        var messages = getMessages(item);
+        if (messages.length) {
+          found.push({
+            field: item,
+            path: ns.getFieldPath(list) + '/' + index,
+            breadcrumb: labels.concat([itemLabel]),
+            ancestors: ancestors,
+            messages: messages
+          });
+        }
+
+        // Items are labeled by their number instead of their field label
+        collect(item, labels.concat([itemLabel]), ancestors.concat([item]), found);
+      });
+    };
+
+    /**
+     * Make the field visible and move focus to its input.
+     *
+     * @private
+     * @param {Object} error
+     */
+    var jumpTo = function (error) {
+      // Expand collapsed groups and list items
+      var containers = error.ancestors.concat([error.field]);
+      for (var i = 0; i < containers.length; i++) {
+        if (containers[i] instanceof ns.Group && containers[i].$group !== undefined &&
+            !containers[i].$group.hasClass('expanded')) {
+          containers[i].expand();
+        }
+      }
+
+      var $item = error.field.$item || error.field.$group || getErrors(error.field).parent();
+      if ($item.length && $item[0].scrollIntoView) {
+        $item[0].scrollIntoView();
+      }
+      $item.find('input,textarea,select,[contenteditable="true"],[tabindex="0"]').filter(':visible').first().focus();
+    };
+
+    /**
+     * Add an error to the list.
+     *
+     * @private
+     * @param {Object} error
+     */
+    var addError = function (error) {
+      var $item = $('<li/>', {
+        'class': 'h5peditor-validation-summary-item',
+        appendTo: $list
+      });
+
+      $('<button/>', {
+        type: 'button',
+        'class': 'h5peditor-validation-summary-link',
+        text: error.breadcrumb.join(' › '),
+        click: function () {
+          jumpTo(error);
+        },
+        appendTo: $item
+      });
+
+      $('<div/>', {
+        'class': 'h5peditor-validation-summary-message',
+        text: error.messages.join(' '),
+        appendTo: $item
+      });
+    };
+
+    /**
+     * Display the errors currently found in the form, or hide the summary if
+     * there are none.
+     *
+     * @return {number} Number of fields with errors
+     */
+    self.update = function () {
+      found = [];
+      if (form.metadataForm !== undefined) {
+        collect(form.metadataForm, [], [], found);
+      }
+      collect(form, [], [], found);
+
+      $list.html('');
+      for (var i = 0; i < found.length; i++) {
+        addError(found[i]);
+      }
+
+      $title.text(ns.t('core', 'validationSummaryTitle', {':count': found.length}));
+      $wrapper.toggle(found.length > 0);
+
+      return found.length;
+    };
+
+    /**
+     * Get the errors found by the last update.
+     *
+     * @return {Array} Errors, each with a JSON pointer path, label and message
+     */
+    self.getErrors = function () {
+      var errors = [];
+      for (var i = 0; i < found.length; i++) {
+        for (var j = 0; j < found[i].messages.length; j++) {
+          errors.push({
+            path: found[i].path,
+            label: found[i].breadcrumb.join(' › '),
+            message: found[i].messages[j]
+          });
+        }
+      }
+      return errors;
+    };
+
+    /**
+     * Keep the summary up to date when fields change.
+     */
+    self.refresh = function () {
+      if ($wrapper.is(':visible')) {
+        self.update();
+      }
+    };
+
+    /**
+     * Move focus to the summary.
+     */
+    self.focus = function () {
+      $wrapper.focus();
+    };
+
+    /**
+     * @param {jQuery} $container
+     */
+    self.prependTo = function ($container) {
+      $wrapper.prependTo($container);
+    };
+  }
+
+  return ValidationSummary;
+})(H5P.jQuery);
@@ -0,0 +1,398 @@
+/* global ns */
+(function (ns) {
+
+  /**
+   * Tags that become available through the editor's buttons when a tag
+   * in the semantics is allowed.
+   *
+   * @constant {Object}
+   */
+  var RELATED_TAGS = {
+    b: ['strong'],
+    strong: ['strong'],
+    i: ['em'],
+    em: ['em'],
+    strike: ['strike', 'del', 's'],
+    del: ['strike', 'del', 's'],
+    s: ['strike', 'del', 's'],
+    ul: ['li'],
+    ol: ['li'],
+    table: ['tr', 'td', 'th', 'colgroup', 'thead', 'tbody', 'tfoot']
+  };
+
+  /**
+   * Tags that make the editor add paragraphs.
+   *
+   * @constant {Array}
+   */
+  var FORMAT_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'address', 'pre', 'p', 'div'];
+
+  /**
+   * Differences smaller than this are rounding errors when checking steps.
+   *
+   * @constant {number}
+   */
+  var STEP_TOLERANCE = 1e-9;
+
+  /**
+   * Translate the given message, if translations are available.
+   *
+   * @private
+   * @param {string} key
+   * @param {Object} [vars]
+   * @return {string}
+   */
+  var translate = function (key, vars) {
+    return (typeof ns.t === 'function' ? ns.t('core', key, vars) : key);
+  };
+
+  /**
+   * Create a validation error.
+   *
+   * @private
+   * @param {string} path JSON pointer to the value
+   * @param {string} code Identifies the rule that was broken
+   * @param {Object} [vars] Replacements for the message
+   * @return {Object}
+   */
+  var createError = function (path, code, vars) {
+    return {
+      path: path,
+      code: code,
+      message: translate(code, vars)
+    };
+  };
+
+  /**
+   * Check if the field has to have a value.
+   *
+   * @private
+   * @param {Object} field
+   * @return {boolean}
+   */
+  var isRequired = function (field) {
+    return field.optional === undefined || !field.optional;
+  };
+
+  /**
+   * Reverse the encoding done to text params before they are stored.
+   *
+   * @private
+   * @param {string} value
+   * @return {string}
+   */
+  var decode = function (value) {
+    return value.toString().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#039;/g, '\'').replace(/&quot;/g, '"');
+  };
+
+  /**
+   * Check if the value is among the select field's options.
+   *
+   * @private
+   * @param {Array} [options]
+   * @param {*} value
+   * @return {boolean}
+   */
+  var hasOption = function (options, value) {
+    if (!(options instanceof Array)) {
+      return false;
+    }
+    for (var i = 0; i < options.length; i++) {
+      if (options[i].type === 'optgroup' ? hasOption(options[i].options, value) : String(options[i].value) === String(value)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Check if the number is a multiple of the step. Steps like 0.1 can't be
+   * represented exactly, so rounding errors are allowed.
+   *
+   * @private
+   * @param {number} number
+   * @param {number} step
+   * @return {boolean}
+   */
+  var isOnStep = function (number, step) {
+    return Math.abs(Math.round(number / step) * step - number) <= STEP_TOLERANCE * Math.max(1, Math.abs(number));
+  };
+
+  /**
+   * Rules for the different types of values. Each rule receives the value
+   * the way it is entered into the widget.
+   *
+   * @private
+   */
+  var rules = {
+
+    /**
+     * @param {Object} field
+     * @param {string} value Trimmed text
+     * @param {string} path
+     * @return {Array}
+     */
+    text: function (field, value, path) {
+      if (isRequired(field) && !value.length) {
+        return [createError(path, 'requiredProperty', {':property': translate('textField')})];
+      }
+      if (value.length > field.maxLength) {
+        return [createError(path, 'tooLong', {':max': field.maxLength})];
+      }
+      if (field.regexp !== undefined && value.length && !value.match(new RegExp(field.regexp.pattern, field.regexp.modifiers))) {
+        return [createError(path, 'invalidFormat')];
+      }
+      return [];
+    },
+
+    /**
+     * @param {Object} field
+     * @param {string} value Trimmed number without unit
+     * @param {string} path
+     * @return {Array}
+     */
+    number: function (field, value, path) {
+      var decimals = field.decimals !== undefined && field.decimals;
+      var propertyName = (field.label === 0 ? translate('numberField') : field.label);
+
+      if (!value.length) {
+        return isRequired(field) ? [createError(path, 'requiredProperty', {':property': translate('numberField')})] : [];
+      }
+
+      var isInt = value.match(new RegExp('^-?[0-9]+$'));
+      if (decimals && !isInt && !value.match(new RegExp('^-?[0-9]+(.|,)[0-9]{1,' + decimals + '}$'))) {
+        return [createError(path, 'illegalDecimalNumber', {':property': propertyName, ':decimals': decimals})];
+      }
+      if (!decimals && !isInt) {
+        return [createError(path, 'onlyNumbers', {':property': propertyName})];
+      }
+
+      var number = (decimals ? parseFloat(value.replace(',', '.')) : parseInt(value));
+      if (field.max !== undefined && number > field.max) {
+        return [createError(path, 'exceedsMax', {':property': propertyName, ':max': field.max})];
+      }
+      if (field.min !== undefined && number < field.min) {
+        return [createError(path, 'belowMin', {':property': propertyName, ':min': field.min})];
+      }
+      if (field.step !== undefined && !isOnStep(number, field.step)) {
+        return [createError(path, 'outOfStep', {':property': propertyName, ':step': field.step})];
+      }
+      return [];
+    },
+
+    /**
+     * @param {Object} field
+     * @param {*} value Undefined if nothing is selected
+     * @param {string} path
+     * @return {Array}
+     */
+    select: function (field, value, path) {
+      if (value === undefined) {
+        return isRequired(field) ? [createError(path, 'requiredProperty', {':property': translate('textField')})] : [];
+      }
+      if (!hasOption(field.options, value)) {
+        return [createError(path, 'invalidOption', {':value': value})];
+      }
+      return [];
+    },
+
+    /**
+     * @param {Object} field
+     * @param {string} value HTML
+     * @param {string} path
+     * @return {Array}
+     */
+    html: function (field, value, path) {
+      var errors = [];
+      var tags = ns.getAllowedTags(field);
+
+      var text = value.replace(/<[^>]*>/g, '');
+      if (isRequired(field) && !text.length) {
+        // We can accept empty text, if there's an image instead.
+        if (!(tags.indexOf('img') !== -1 && /<img[\s/>]/i.test(value))) {
+          errors.push(createError(path, 'requiredProperty', {':property': translate('textField')}));
+        }
+      }
+
+      var found = {};
+      var tag, pattern = /<\/?([a-z][a-z0-9]*)[^>]*>/gi;
+      while ((tag = pattern.exec(value)) !== null) {
+        var name = tag[1].toLowerCase();
+        if (tags.indexOf(name) === -1 && !found[name]) {
+          found[name] = true;
+          errors.push(createError(path, 'tagNotAllowed', {':tag': name}));
+        }
+      }
+
+      return errors;
+    },
+
+    /**
+     * @param {Object} field
+     * @param {number} value Number of items
+     * @param {string} path
+     * @return {Array}
+     */
+    list: function (field, value, path) {
+      var errors = [];
+      if (field.max !== undefined && field.max > 0 && value > field.max) {
+        errors.push(createError(path, 'listExceedsMax', {':max': field.max}));
+      }
+      if (field.min !== undefined && field.min > 0 && value < field.min) {
+        errors.push(createError(path, 'listBelowMin', {':min': field.min}));
+      }
+      return errors;
+    }
+  };
+
+  /**
+   * Find the rule used for a field.
+   *
+   * @private
+   * @param {Object} field
+   * @return {string|undefined}
+   */
+  var getRule = function (field) {
+    if (field.type === 'text' && field.widget === 'html') {
+      return 'html';
+    }
+    if (field.type === 'text' || field.type === 'number' || field.type === 'select' || field.type === 'list') {
+      return field.type;
+    }
+  };
+
+  /**
+   * Validate the params of a field and all its children.
+   *
+   * @private
+   * @param {Object} field
+   * @param {*} value
+   * @param {string} path
+   * @param {Array} errors Found errors are added here
+   */
+  var validate = function (field, value, path, errors) {
+    var i;
+
+    if (value === undefined && field.default !== undefined) {
+      value = field.default; // The editor will use the default value
+    }
+
+    if (field.type === 'group') {
+      var fields = field.fields;
+      if (field.optional === true) {
+        // Child fields of optional groups are optional as well
+        fields = fields.map(function (child) {
+          return Object.assign({}, child, {optional: true});
+        });
+      }
+
+      if (fields.length === 1 && field.isSubContent !== true) {
+        // Single fields are stored directly in the group's params
+        validate(fields[0], value, path, errors);
+        return;
+      }
+
+      for (i = 0; i < fields.length; i++) {
+        validate(fields[i], value === undefined ? undefined : value[fields[i].name], path + '/' + fields[i].name, errors);
+      }
+      return;
+    }
+
+    if (field.type === 'list') {
+      var items = (value instanceof Array ? value : []);
+      for (i = 0; i < items.length; i++) {
+        validate(field.field, items[i], path + '/' + i, errors);
+      }
+    }
+
+    Array.prototype.push.apply(errors, ns.validateField(field, ns.getRawValue(field, value), path));
+  };
+
+  /**
+   * Convert stored params to the value used by the field's rules.
+   *
+   * @param {Object} field
+   * @param {*} value As stored in the params
+   * @return {*}
+   */
+  ns.getRawValue = function (field, value) {
+    switch (getRule(field)) {
+      case 'text':
+        return (value === undefined ? '' : decode(value).trim());
+      case 'number':
+        return (value === undefined ? '' : String(value).trim());
+      case 'html':
+        return (value === undefined ? '' : String(value));
+      case 'list':
+        return (value instanceof Array ? value.length : 0);
+      default:
+        return value;
+    }
+  };
+
+  /**
+   * Tags html fields have when the semantics don't list any.
+   *
+   * @constant {Array}
+   */
+  ns.defaultHtmlTags = ['strong', 'em', 'del', 'h2', 'h3', 'a', 'ul', 'ol', 'table', 'hr'];
+
+  /**
+   * Get the HTML tags that can be used in the given field.
+   *
+   * @param {Object} field
+   * @return {Array}
+   */
+  ns.getAllowedTags = function (field) {
+    var tags = ['br'].concat(field.tags || ns.defaultHtmlTags);
+    var hasFormats = false;
+
+    for (var i = 0, length = tags.length; i < length; i++) {
+      if (RELATED_TAGS[tags[i]] !== undefined) {
+        tags = tags.concat(RELATED_TAGS[tags[i]]);
+      }
+      if (FORMAT_TAGS.indexOf(tags[i]) !== -1) {
+        hasFormats = true;
+      }
+    }
+    if (hasFormats) {
+      tags.push('p');
+    }
+    if (field.font !== undefined) {
+      tags.push('span');
+    }
+
+    return tags;
+  };
+
+  /**
+   * Validate a single value using the same rules as the field's widget.
+   * Child fields of groups and lists are not validated.
+   *
+   * @param {Object} field Semantics
+   * @param {*} value As entered into the widget, i.e. trimmed text, the
+   *   number as text, the number of list items or the selected option
+   * @param {string} [path] JSON pointer to the value
+   * @return {Array} Errors, each with path, code and message
+   */
+  ns.validateField = function (field, value, path) {
+    var rule = getRule(field);
+    return (rule === undefined ? [] : rules[rule](field, value, path || ''));
+  };
+
+  /**
+   * Validate content params without using the editor's form.
+   *
+   * @param {Array} semantics
+   * @param {Object} params
+   * @return {Array} Errors, each with a JSON pointer path, code and message
+   */
+  ns.validateParams = function (semantics, params) {
+    var errors = [];
+    for (var i = 0; i < semantics.length; i++) {
+      validate(semantics[i], params === undefined ? undefined : params[semantics[i].name], '/' + semantics[i].name, errors);
+    }
+    return errors;
+  };
+
+})(typeof H5PEditor !== 'undefined' ? H5PEditor : module.exports);
@@ -450,12 +450,14 @@ ns.processSemanticsChunk = function (semanticsChunk, params, $wrapper, parent, m
     }
 
     var fieldInstance = new ns.widgets[widget](parent, field, params[field.name], function (field, value) {
+      var oldValue = params[field.name];
       if (value === undefined) {
         delete params[field.name];
       }
       else {
         params[field.name] = value;
       }
+      ns.triggerChange(parent, ns.getParamsPath(parent) + '/' + field.name, oldValue, value);
     });
     fieldInstance.appendTo($wrapper);
     parent.children.push(fieldInstance);
@@ -522,9 +524,11 @@ ns.addCommonField = function (field, parent, params, ancestor, skipAppendTo) {
     var widget = ns.getWidgetName(field);
     ancestor.commonFields[parent.currentLibrary][field.name] = {
       instance: new ns.widgets[widget](parent, field, params[field.name], function (field, value) {
+        var oldValue = params[field.name];
         for (var i = 0; i < commonField.setValues.length; i++) {
           commonField.setValues[i](field, value);
         }
+        ns.triggerChange(parent, ns.getParamsPath(parent) + '/' + field.name, oldValue, value);
       }),
       setValues: [],
       parents: []
@@ -626,6 +630,190 @@ ns.removeChildren = function (children) {
   }
 };
 
+/**
+ * Find the form the given field belongs to.
+ *
+ * @param {Object} parent
+ * @returns {H5PEditor.Form|undefined}
+ */
+ns.findForm = function (parent) {
+  if (parent === undefined || parent instanceof ns.Form) {
+    return parent;
+  }
+  // The metadata form doesn't have a parent, but keeps track of its form
+  return ns.findForm(parent instanceof ns.MetadataForm ? parent.form : parent.parent);
+};
+
+/**
+ * Find the history of the form the given field belongs to.
+ *
+ * @param {Object} parent
+ * @returns {H5PEditor.History|undefined}
+ */
+ns.findHistory = function (parent) {
+  var form = ns.findForm(parent);
+  if (form !== undefined) {
+    return form.history;
+  }
+};
+
+/**
+ * Let the form know that a value has changed, so that the change can be
+ * undone and the integration notified.
+ *
+ * @param {Object} parent
+ * @param {string} path Where the value is located, e.g. /params/text
+ * @param {*} oldValue
+ * @param {*} newValue
+ */
+ns.triggerChange = function (parent, path, oldValue, newValue) {
+  var form = ns.findForm(parent);
+  if (form === undefined) {
+    return;
+  }
+
+  form.history.record();
+  if (form.history.isRecording()) {
+    // Changes made while the form is being built are not reported
+    form.trigger('change', {
+      path: path,
+      oldValue: oldValue,
+      newValue: newValue
+    });
+  }
+};
+
+/**
+ * Let the form know that the library of a content has changed.
+ *
+ * @param {Object} parent
+ * @param {string} path Where the content is located, e.g. /params/content
+ * @param {string} [library] Not set if no library is selected
+ */
+ns.triggerLibraryChange = function (parent, path, library) {
+  var form = ns.findForm(parent);
+  if (form !== undefined && form.history.isRecording()) {
+    form.trigger('libraryChanged', {
+      path: path,
+      library: library
+    });
+  }
+};
+
+/**
+ * Get the text of text and html params, leaving out the markup.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+ns.getText = function (value) {
+  // Parsed in a separate document to avoid loading images or running scripts
+  return new DOMParser().parseFromString(value, 'text/html').body.textContent;
+};
+
+/**
+ * Collect the text of all the text fields in the given params, e.g. for
+ * searching fields that haven't been created.
+ *
+ * @param {Object} field Semantics
+ * @param {*} params
+ * @param {Array} texts The text is added here
+ */
+ns.collectText = function (field, params, texts) {
+  if (params === undefined || params === null) {
+    return;
+  }
+
+  var i;
+  switch (field.type) {
+    case 'text':
+      if (typeof params === 'string') {
+        texts.push(ns.getText(params));
+      }
+      break;
+
+    case 'group':
+      if (field.fields.length === 1 && field.isSubContent !== true) {
+        // Single fields are stored directly in the group's params
+        ns.collectText(field.fields[0], params, texts);
+        break;
+      }
+      for (i = 0; i < field.fields.length; i++) {
+        ns.collectText(field.fields[i], params[field.fields[i].name], texts);
+      }
+      break;
+
+    case 'list':
+      for (i = 0; params instanceof Array && i < params.length; i++) {
+        ns.collectText(field.field, params[i], texts);
+      }
+      break;
+
+    case 'library':
+      if (params.metadata && params.metadata.title) {
+        texts.push(params.metadata.title);
+      }
+
+      // The semantics are only available once the library has been loaded
+      var library = ns.libraryCache[params.library];
+      if (library && library.semantics && params.params) {
+        for (i = 0; i < library.semantics.length; i++) {
+          ns.collectText(library.semantics[i], params.params[library.semantics[i].name], texts);
+        }
+      }
+      break;
+  }
+};
+
+/**
+ * Get the path to the params a parent gives its child fields, starting at
+ * the content's params or metadata, e.g. /params/questions/0/params
+ *
+ * @param {Object} parent
+ * @returns {string}
+ */
+ns.getParamsPath = function (parent) {
+  if (parent instanceof ns.Form) {
+    return '/params';
+  }
+  if (parent instanceof ns.MetadataForm) {
+    return parent.getParamsPath();
+  }
+  if (parent instanceof ns.Library) {
+    return ns.getFieldPath(parent) + '/params';
+  }
+  return ns.getFieldPath(parent);
+};
+
+/**
+ * Get the path to the value of a field that keeps track of its parent,
+ * e.g. /params/questions/0
+ *
+ * @param {Object} field Field instance
+ * @returns {string}
+ */
+ns.getFieldPath = function (field) {
+  var parent = field.parent;
+  if (parent === undefined) {
+    return '';
+  }
+
+  if (parent instanceof ns.List) {
+    var index;
+    parent.forEachChild(function (child, i) {
+      if (child === field) {
+        index = i;
+      }
+    });
+    return ns.getFieldPath(parent) + '/' + index;
+  }
+  if (parent instanceof ns.Group && parent.hasSingleChild() && !parent.isSubContent()) {
+    return ns.getFieldPath(parent); // Shares params with its only child
+  }
+
+  return ns.getParamsPath(parent) + '/' + field.field.name;
+};
+
 /**
  * Find field from path.
  *
@@ -754,6 +942,18 @@ ns.createError = function (message) {
   return '<p>' + message + '</p>';
 };
 
+/**
+ * Display the errors found when validating a field.
+ *
+ * @param {jQuery} $errors
+ * @param {Array} errors As returned by validateField
+ */
+ns.appendErrors = function ($errors, errors) {
+  for (var i = 0; i < errors.length; i++) {
+    $errors.append(ns.createError(errors[i].message));
+  }
+};
+
 /**
  * Turn a numbered importance into a string.
  *
@@ -1059,6 +1259,27 @@ ns.createCopyPasteButtons = function () {
          '</div><div class="h5peditor-clearfix"></div>';
 };
 
+/**
+ * Give all the sub content in the given params new IDs, e.g. after they
+ * have been copied, so that xAPI statements can tell the copies apart.
+ *
+ * @param {*} params
+ * @returns {*} The same params
+ */
+ns.renewSubContentIds = function (params) {
+  if (params instanceof Object) {
+    if (params.subContentId !== undefined) {
+      params.subContentId = H5P.createUUID();
+    }
+    for (var prop in params) {
+      if (params.hasOwnProperty(prop)) {
+        ns.renewSubContentIds(params[prop]);
+      }
+    }
+  }
+  return params;
+};
+
 /**
  * Confirm replace if there is content selected
  *
@@ -1388,13 +1609,34 @@ ns.canPastePlus = function (clipboard, libs) {
 
 // Factory for creating storage instance
 ns.storage = (function () {
+
+  /**
+   * Decode a value read from the browser storage.
+   *
+   * @private
+   * @param {string|null} value
+   * @return {*}
+   */
+  var parse = function (value) {
+    if (value === null) {
+      return false; // Nothing stored
+    }
+
+    try {
+      return JSON.parse(value);
+    }
+    catch (err) {
+      return value; // Stored before values were encoded
+    }
+  };
+
   var instance = {
     get: function (key, next) {
       var value;
 
       // Get value from browser storage
       if (window.localStorage !== undefined) {
-        value = !!window.localStorage.getItem(key);
+        value = parse(window.localStorage.getItem(key));
       }
 
       // Try to get a better value from user data storage
@@ -1414,7 +1656,10 @@ ns.storage = (function () {
 
       // Store in browser
       if (window.localStorage !== undefined) {
-        window.localStorage.setItem(key, value);
+        try {
+          window.localStorage.setItem(key, JSON.stringify(value));
+        }
+        catch (err) { /*Quota exceeded, user data storage may still work*/ }
       }
 
       // Try to store in user data storage
@@ -1422,11 +1667,67 @@ ns.storage = (function () {
         H5P.setUserData(0, key, value);
       }
       catch (err) { /*Intentionally left empty*/ }
+    },
+    remove: function (key) {
+
+      // Remove from browser
+      if (window.localStorage !== undefined) {
+        window.localStorage.removeItem(key);
+      }
+
+      // Try to remove from user data storage
+      try {
+        H5P.deleteUserData(0, key);
+      }
+      catch (err) { /*Intentionally left empty*/ }
     }
   };
   return instance;
 })();
 
+/**
+ * Describes why content could not be saved.
+ *
+ * @class
+ * @param {string} code E.g. missing-title
+ * @param {Object} [options]
+ * @param {string} [options.message] Defaults to the message for the code
+ * @param {string} [options.path] JSON pointer to the field causing the error
+ * @param {Array} [options.errors] Validation errors for the fields
+ */
+ns.ContentError = function ContentError(code, options) {
+  options = options || {};
+
+  this.code = code;
+  this.message = (options.message !== undefined ? options.message : ns.t('core', ns.ContentError.messages[code] || 'unknownError'));
+  this.path = options.path;
+  this.errors = options.errors || [];
+};
+
+/**
+ * Makes the error work as the codes that used to be passed.
+ *
+ * @return {string}
+ */
+ns.ContentError.prototype.toString = function () {
+  return this.code;
+};
+
+/**
+ * Translation keys for the messages of the different codes.
+ *
+ * @constant {Object}
+ */
+ns.ContentError.messages = {
+  'content-not-selected': 'errorContentNotSelected',
+  'missing-title': 'errorMissingTitle',
+  'missing-library': 'errorMissingLibrary',
+  'missing-params': 'errorMissingParams',
+  'missing-params-params': 'errorMissingParams',
+  'validation-failed': 'errorValidationFailed',
+  'upgrade-failed': 'errorUpgradeFailed'
+};
+
 /**
  * Small helper class for library data.
  *
@@ -1570,27 +1871,31 @@ ns.upgradeContent = (function () {
           if (err) {
             let header = 'Failed';
             let message = 'Could not upgrade content';
+            let reason;
             switch (err.type) {
               case 'errorTooHighVersion':
-                message += ': ' + ns.t('core', 'errorTooHighVersion', {'%used': err.used, '%supported': err.supported});
+                reason = ns.t('core', 'errorTooHighVersion', {'%used': err.used, '%supported': err.supported});
                 break;
 
               case 'errorNotSupported':
-                message += ': ' + ns.t('core', 'errorNotSupported', {'%used': err.used});
+                reason = ns.t('core', 'errorNotSupported', {'%used': err.used});
                 break;
 
               case 'errorParamsBroken':
-                message += ': ' + ns.t('core', 'errorParamsBroken');
+                reason = ns.t('core', 'errorParamsBroken');
                 break;
 
               case 'libraryMissing':
-                message += ': ' +  ns.t('core', 'libraryMissing', {'%lib': err.library});
+                reason = ns.t('core', 'libraryMissing', {'%lib': err.library});
                 break;
 
               case 'scriptMissing':
-                message += ': ' + ns.t('core', 'scriptMissing', {'%lib': err.library});
+                reason = ns.t('core', 'scriptMissing', {'%lib': err.library});
                 break;
             }
+            if (reason !== undefined) {
+              message += ': ' + reason;
+            }
 
             var confirmErrorDialog = new H5P.ConfirmationDialog({
               headerText: header,
@@ -1598,6 +1903,13 @@ ns.upgradeContent = (function () {
               confirmText: 'Continue'
             }).appendTo(document.body);
             confirmErrorDialog.show();
+
+            err = new ns.ContentError('upgrade-failed', {
+              errors: [{
+                code: err.type,
+                message: (reason !== undefined ? reason : message)
+              }]
+            });
           }
           done(err, result);
         });
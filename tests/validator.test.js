@@ -0,0 +1,46 @@
+/**
+ * Checks that the validator works without the editor and the DOM.
+ * Run with: node tests/validator.test.js
+ */
+var assert = require('assert');
+var validator = require('../scripts/h5peditor-validator.js');
+
+var codes = function (errors) {
+  return errors.map(function (error) {
+    return error.path + ' ' + error.code;
+  });
+};
+
+// Html fields without tags in the semantics use the default tags
+assert.deepStrictEqual(codes(validator.validateParams([
+  {name: 'text', type: 'text', widget: 'html'}
+], {
+  text: '<p><strong>Bold</strong> and <a href="#">linked</a></p>'
+})), []);
+
+assert.deepStrictEqual(codes(validator.validateParams([
+  {name: 'text', type: 'text', widget: 'html'}
+], {
+  text: '<p>Image <img src="a.png"></p>'
+})), ['/text tagNotAllowed']);
+
+// Steps that can't be represented exactly
+assert.deepStrictEqual(codes(validator.validateParams([
+  {name: 'number', type: 'number', step: 0.1, decimals: 1}
+], {
+  number: 0.3
+})), []);
+
+assert.deepStrictEqual(codes(validator.validateParams([
+  {name: 'number', type: 'number', step: 0.1, decimals: 2}
+], {
+  number: 0.35
+})), ['/number outOfStep']);
+
+assert.deepStrictEqual(codes(validator.validateParams([
+  {name: 'number', type: 'number', step: 5}
+], {
+  number: 12
+})), ['/number outOfStep']);
+
+console.log('Validator checks passed');